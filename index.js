@@ -1,20 +1,166 @@
 // index.js - Complete version with dependencies and assigned column
-const { S3Client, PutObjectCommand, HeadObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-
-// Create S3 client
-const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+const XLSX = require('xlsx');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const nodePath = require('path');
+const http = require('http');
+const https = require('https');
 
 // Configuration
 const BUCKET_NAME = process.env.S3_BUCKET || 'gantt-chart-files';
+
+// Storage backend: "s3" (default), "fs" (local directory) or "memory"
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 's3';
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || nodePath.join(os.tmpdir(), 'gantt-chart-files');
+const FILES_ROUTE = '/files/';
+const DOWNLOAD_URL_EXPIRES_IN = 3600;
+const UPLOAD_URL_EXPIRES_IN = 900;
+const UPLOADS_PREFIX = 'uploads/';
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const XLS_CONTENT_TYPE = 'application/vnd.ms-excel';
+
+// Sheet header of each task field; also sent to the viewer, which reads the rows the same way
+const TASK_COLUMNS = {
+    level: 'Level',
+    id: 'ID',
+    taskName: 'Task Name',
+    description: 'Descripción',
+    startDate: 'Start Date',
+    endDate: 'End Date',
+    dias: 'Días',
+    restante: 'Restante',
+    assignedTo: 'Assigned To',
+    dependencies: 'Dependencies',
+    status: 'Status',
+    type: 'Type',
+    baselineStart: 'Baseline Start',
+    baselineEnd: 'Baseline End',
+    pinned: 'Pinned',
+    percentComplete: '% Complete'
+};
+
+// MS Project XML (MSPDI) uploads are converted into the "Proyectos Abiertos" sheet layout
+const SHEET_COLUMNS = ['Level', 'ID', 'Task Name', 'Descripción', 'Start Date', 'End Date', 'Días', 'Restante',
+    'Assigned To', 'Dependencies', 'Status', 'Type', '% Complete'];
+const MSPDI_LINK_TYPES = { 0: 'FF', 1: 'FS', 2: 'SF', 3: 'SS' };
+const MSPDI_MINUTES_PER_DAY = 480;
+const MSPDI_LINK_TYPE_CODES = { FF: 0, FS: 1, SF: 2, SS: 3 };
+
+// One dependency in MS Project notation: "12", "12SS", "12SS+2d", "14FF-1d"; also sent to the viewer
+const DEPENDENCY_LINK_PATTERN = /^(\d+)\s*(FS|SS|FF|SF)?\s*(?:([+-])\s*(\d+(?:\.\d+)?)\s*(?:d|days?|d[ií]as?)?)?$/i;
 const EXCEL_FILE_KEY = 'latest-gantt.xlsx';
+const VERSIONS_PREFIX = 'versions/';
+const VERSION_ID_PATTERN = /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}-[0-9]{2}-[0-9]{2}-[0-9]{3}Z$/;
+
+// Baseline dates frozen from an upload, one per schedule
+const BASELINE_KEY = 'baseline.json';
+const DEFAULT_BASELINE_NAME = 'Baseline 1';
+
+// Named schedules live under schedules/{name}/; the default one keeps the original root keys
+const DEFAULT_SCHEDULE = 'default';
+const SCHEDULES_PREFIX = 'schedules/';
+const SCHEDULE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/i;
+
+// Sheet read by default, same as the viewer
+const DEFAULT_SHEET_NAME = 'Proyectos Abiertos';
+
+// Progress of tasks without a "% Complete" value, by status (case-insensitive); also sent to the viewer
+//   STATUS_PROGRESS="Completado:100,En progreso:50,No iniciado:0"
+const STATUS_PROGRESS = parseStatusProgress(process.env.STATUS_PROGRESS || 'Completado:100,En progreso:50,No iniciado:0');
+
+// Upload validation
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES) || 10 * 1024 * 1024;
+const REQUIRED_HEADERS = ['Task Name', 'Start Date'];
+const FILE_SIGNATURES = [
+    Buffer.from([0x50, 0x4B, 0x03, 0x04]),                        // .xlsx (ZIP)
+    Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])  // .xls (OLE2)
+];
+
+// Authentication: auth is enabled as soon as API keys or a token secret are configured
+//   API_KEYS="key1:editor,key2:viewer"  AUTH_TOKEN_SECRET=<HS256 secret for bearer tokens>
+const ROLE_LEVELS = { viewer: 1, editor: 2 };
+const API_KEYS = parseApiKeys(process.env.API_KEYS || '');
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || '';
+const AUTH_ENABLED = API_KEYS.length > 0 || AUTH_TOKEN_SECRET !== '';
+
+// CORS: comma-separated list of allowed origins ("*" allows any)
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Change notifications after each upload: comma-separated URLs that receive a JSON summary
+// (WEBHOOK_URLS) or a chat message with a markdown "text" field (CHAT_WEBHOOK_URLS)
+const WEBHOOK_URLS = parseUrlList(process.env.WEBHOOK_URLS || '');
+const CHAT_WEBHOOK_URLS = parseUrlList(process.env.CHAT_WEBHOOK_URLS || '');
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 3;
+const WEBHOOK_RETRY_DELAY_MS = 500;
+// Limit on each whole request (connection, body and response), not just idle time
+const WEBHOOK_TIMEOUT_MS = 3000;
+const CHAT_LIST_LIMIT = 10;
+
+// Secret for the download URLs the Lambda serves itself (fs and memory backends)
+const FILE_URL_SECRET = process.env.FILE_URL_SECRET || AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+const storage = createStorage(STORAGE_BACKEND);
 
 exports.handler = async (event) => {
-    console.log('Event:', JSON.stringify(event, null, 2));
+    const response = await routeRequest(event);
+    
+    // Every route answers with the same CORS policy
+    response.headers = { ...response.headers, ...getCorsHeaders(event) };
+    return response;
+};
+
+async function routeRequest(event) {
+    console.log('Event:', JSON.stringify(redactEvent(event), null, 2));
     
     try {
         const httpMethod = event.httpMethod || event.requestContext?.http?.method;
-        const path = event.path || event.rawPath || '/';
+        const requestPath = event.path || event.rawPath || '/';
+        
+        // Routes under /s/{name}/... are scoped to that schedule
+        const { schedule, path } = resolveSchedulePath(requestPath);
+        
+        if (!SCHEDULE_NAME_PATTERN.test(schedule)) {
+            return {
+                statusCode: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: JSON.stringify({ error: 'Invalid schedule name' })
+            };
+        }
+        
+        // Check credentials against the role the route needs
+        const requiredRole = getRequiredRole(httpMethod, path);
+        
+        if (requiredRole) {
+            const auth = authenticate(event);
+            
+            if (!auth) {
+                return {
+                    statusCode: 401,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Access-Control-Allow-Origin': '*',
+                        'WWW-Authenticate': 'Bearer'
+                    },
+                    body: JSON.stringify({ error: 'Authentication required' })
+                };
+            }
+            
+            if (ROLE_LEVELS[auth.role] < ROLE_LEVELS[requiredRole]) {
+                return {
+                    statusCode: 403,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Access-Control-Allow-Origin': '*'
+                    },
+                    body: JSON.stringify({ error: `The ${requiredRole} role is required` })
+                };
+            }
+        }
         
         // Handle different routes
         if (httpMethod === 'GET' && path === '/') {
@@ -28,19 +174,66 @@ exports.handler = async (event) => {
                 body: getHtmlContent()
             };
         } else if (httpMethod === 'POST' && path === '/upload') {
-            // Handle file upload
-            return await handleFileUpload(event);
+            // Handle file upload (base64 in a JSON body, limited by the Lambda payload size)
+            return await handleFileUpload(event, schedule);
+        } else if (httpMethod === 'POST' && path === '/upload-url') {
+            // Hand out a signed URL so the browser can PUT the file straight to storage
+            return await createUploadUrl(event, schedule);
+        } else if (httpMethod === 'POST' && path === '/upload/confirm') {
+            // Process a file uploaded through /upload-url
+            return await confirmUpload(event, schedule);
         } else if (httpMethod === 'GET' && path === '/download') {
-            // Generate presigned URL for downloading the Excel file
-            return await getDownloadUrl();
+            // Generate presigned URL for downloading the Excel file (optionally an older version)
+            const version = event.queryStringParameters?.version;
+            return await getDownloadUrl(schedule, version, getRequestBaseUrl(event));
+        } else if (httpMethod === 'GET' && path === '/versions') {
+            // List every uploaded version, newest first
+            return await listVersions(schedule);
+        } else if (httpMethod === 'GET' && path === '/api/tasks') {
+            // Parse the stored workbook and return normalized task JSON
+            const version = event.queryStringParameters?.version;
+            return await getTasksJson(schedule, version);
+        } else if (httpMethod === 'GET' && path === '/export.xml') {
+            // Export the schedule as MS Project XML (MSPDI)
+            const version = event.queryStringParameters?.version;
+            return await exportMspdi(schedule, version);
+        } else if (httpMethod === 'GET' && path === '/calendar.ics') {
+            // iCalendar feed of task dates, optionally filtered by assignee and project
+            return await getCalendarFeed(schedule, event.queryStringParameters || {});
+        } else if (httpMethod === 'GET' && path === '/baseline') {
+            // Baseline dates frozen from an earlier upload
+            return await getBaseline(schedule);
+        } else if (httpMethod === 'POST' && path === '/baseline') {
+            // Freeze the latest upload (or a given version) as the baseline
+            return await saveBaseline(event, schedule);
+        } else if (httpMethod === 'GET' && path === '/schedules') {
+            // List the existing schedules
+            return await listSchedules();
+        } else if (httpMethod === 'GET' && path.startsWith(FILES_ROUTE)) {
+            // Serve a stored file through a signed URL (fs and memory backends)
+            return await serveSignedFile(path.slice(FILES_ROUTE.length), event.queryStringParameters || {});
+        } else if (httpMethod === 'PUT' && path.startsWith(FILES_ROUTE)) {
+            // Receive a file uploaded through a signed URL (fs and memory backends)
+            return await receiveSignedFile(path.slice(FILES_ROUTE.length), event);
+        } else if (httpMethod === 'GET' && path === '/session') {
+            // Tell the viewer whether auth is on and which role the caller has
+            const auth = authenticate(event);
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: JSON.stringify({ authEnabled: AUTH_ENABLED, role: auth ? auth.role : null })
+            };
         } else if (httpMethod === 'OPTIONS') {
             // Handle CORS preflight
             return {
                 statusCode: 200,
                 headers: {
                     'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type'
+                    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+                    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Api-Key'
                 },
                 body: ''
             };
@@ -65,1691 +258,7819 @@ exports.handler = async (event) => {
             body: JSON.stringify({ error: error.message })
         };
     }
-};
+}
 
-async function handleFileUpload(event) {
-    try {
-        // Parse the base64 encoded file from the request body
-        const body = JSON.parse(event.body);
-        const fileContent = Buffer.from(body.file, 'base64');
-        
-        // Upload to S3
-        const command = new PutObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: EXCEL_FILE_KEY,
-            Body: fileContent,
-            ContentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+// Role a route needs; null for public routes. The HTML page itself is public
+// because it holds no schedule data and has to render the login prompt.
+function getRequiredRole(httpMethod, path) {
+    if (httpMethod === 'OPTIONS') return null;
+    if (httpMethod === 'GET' && (path === '/' || path === '/session')) return null;
+    if (path.startsWith(FILES_ROUTE)) return null; // Checked by URL signature
+    if (httpMethod === 'POST') return 'editor';
+    return 'viewer';
+}
+
+// Resolve the caller's role from an API key or a signed bearer token; null if not authenticated
+function authenticate(event) {
+    if (!AUTH_ENABLED) {
+        return { role: 'editor' };
+    }
+    
+    const credential = getCredential(event);
+    if (!credential) return null;
+    
+    const apiKey = API_KEYS.find(entry => safeEqual(entry.key, credential));
+    if (apiKey) {
+        return { role: apiKey.role };
+    }
+    
+    if (AUTH_TOKEN_SECRET) {
+        const claims = verifyToken(credential, AUTH_TOKEN_SECRET);
+        if (claims && ROLE_LEVELS[claims.role]) {
+            return { role: claims.role, subject: claims.sub };
+        }
+    }
+    
+    return null;
+}
+
+// Credentials come from "Authorization: Bearer", "X-Api-Key" or the access_token query parameter
+function getCredential(event) {
+    const headers = {};
+    Object.entries(event.headers || {}).forEach(([name, value]) => {
+        headers[name.toLowerCase()] = value;
+    });
+    
+    const authorization = headers['authorization'] || '';
+    if (/^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+    
+    return headers['x-api-key'] || event.queryStringParameters?.access_token || null;
+}
+
+function parseApiKeys(value) {
+    return value.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.lastIndexOf(':');
+            const key = separator === -1 ? entry : entry.slice(0, separator);
+            const role = separator === -1 ? 'viewer' : entry.slice(separator + 1);
+            
+            if (!ROLE_LEVELS[role]) {
+                throw new Error(`Unknown role "${role}" in API_KEYS`);
+            }
+            return { key, role };
         });
+}
+
+// Verify an HS256 JWT and return its claims; null if the signature or expiry is invalid
+function verifyToken(token, secret) {
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+    
+    try {
+        const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        if (header.alg !== 'HS256') return null;
         
-        await s3Client.send(command);
+        const expected = crypto.createHmac('sha256', secret).update(parts[0] + '.' + parts[1]).digest('base64url');
+        if (!safeEqual(expected, parts[2])) return null;
+        
+        const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        if (claims.exp && claims.exp * 1000 < Date.now()) return null;
+        
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Create an HS256 JWT for a role (used by "node index.js token")
+function signToken(claims, secret) {
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(header + '.' + payload).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function getCorsHeaders(event) {
+    if (ALLOWED_ORIGINS.includes('*')) {
+        return { 'Access-Control-Allow-Origin': '*' };
+    }
+    
+    const origin = event.headers?.origin || event.headers?.Origin;
+    if (origin && ALLOWED_ORIGINS.includes(origin)) {
+        return { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' };
+    }
+    
+    // Unknown origins get no CORS grant (same-origin requests still work)
+    return { 'Access-Control-Allow-Origin': ALLOWED_ORIGINS[0] || 'null', 'Vary': 'Origin' };
+}
+
+// Keep credentials out of the logs
+function redactEvent(event) {
+    const redacted = { ...event, headers: { ...(event.headers || {}) } };
+    
+    Object.keys(redacted.headers).forEach(name => {
+        if (['authorization', 'x-api-key'].includes(name.toLowerCase())) {
+            redacted.headers[name] = '[redacted]';
+        }
+    });
+    
+    if (event.queryStringParameters?.access_token) {
+        redacted.queryStringParameters = { ...event.queryStringParameters, access_token: '[redacted]' };
+    }
+    if (event.rawQueryString) {
+        redacted.rawQueryString = event.rawQueryString.replace(/access_token=[^&]*/, 'access_token=[redacted]');
+    }
+    if (event.multiValueHeaders) {
+        redacted.multiValueHeaders = '[omitted]';
+    }
+    
+    return redacted;
+}
+
+// Raw request body as a Buffer (Function URLs and API Gateway may base64-encode it)
+function getRequestBody(event) {
+    if (!event.body) return Buffer.alloc(0);
+    return event.isBase64Encoded ? Buffer.from(event.body, 'base64') : Buffer.from(event.body, 'utf8');
+}
+
+function resolveSchedulePath(requestPath) {
+    const match = requestPath.match(/^\/s\/([^/]+)(\/.*)?$/);
+    
+    if (!match) {
+        return { schedule: DEFAULT_SCHEDULE, path: requestPath };
+    }
+    
+    return {
+        schedule: decodePathComponent(match[1]),
+        path: match[2] && match[2] !== '/' ? match[2].replace(/\/$/, '') : '/'
+    };
+}
+
+// Malformed escapes ("%E0") give an empty string: schedule names then fail the name check (400)
+// and file keys their signature check (403)
+function decodePathComponent(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return '';
+    }
+}
+
+function getScheduleKey(schedule, key) {
+    return schedule === DEFAULT_SCHEDULE ? key : SCHEDULES_PREFIX + schedule + '/' + key;
+}
+
+async function handleFileUpload(event, schedule) {
+    try {
+        // Parse the base64 encoded file from the request body
+        const body = JSON.parse(getRequestBody(event).toString('utf8'));
+        const fileContent = Buffer.from(body.file || '', 'base64');
         
+        return await storeUpload(schedule, fileContent, body);
+    } catch (error) {
+        console.error('Upload error:', error);
+        throw error;
+    }
+}
+
+async function createUploadUrl(event, schedule) {
+    const body = JSON.parse(getRequestBody(event).toString('utf8') || '{}');
+    const size = parseInt(body.size);
+    
+    // Refuse oversized files before the browser starts sending them
+    if (!size || size > MAX_UPLOAD_BYTES) {
+        const problem = size ?
+            { code: 'file_too_large', message: `The file is larger than ${MAX_UPLOAD_BYTES} bytes`, value: size } :
+            { code: 'empty_file', message: 'The file is empty' };
         return {
-            statusCode: 200,
+            statusCode: 422,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
-            body: JSON.stringify({ 
-                success: true, 
-                message: 'File uploaded successfully' 
-            })
+            body: JSON.stringify({ error: 'Invalid workbook', problems: [problem] })
         };
-    } catch (error) {
-        console.error('Upload error:', error);
-        throw error;
     }
+    
+    // The file is staged under uploads/ until /upload/confirm validates it
+    const uploadId = crypto.randomUUID();
+    const contentType = 'application/octet-stream';
+    const url = await storage.getUploadUrl(getUploadKey(schedule, uploadId), {
+        expiresIn: UPLOAD_URL_EXPIRES_IN,
+        contentType,
+        contentLength: size,
+        baseUrl: getRequestBaseUrl(event)
+    });
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({
+            uploadId,
+            url,
+            method: 'PUT',
+            headers: { 'Content-Type': contentType },
+            expiresIn: UPLOAD_URL_EXPIRES_IN
+        })
+    };
 }
 
-async function getDownloadUrl() {
-    try {
-        // Check if file exists
-        const headCommand = new HeadObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: EXCEL_FILE_KEY
-        });
-        
-        await s3Client.send(headCommand);
-        
-        // Generate presigned URL valid for 1 hour
-        const getCommand = new GetObjectCommand({
-            Bucket: BUCKET_NAME,
-            Key: EXCEL_FILE_KEY
-        });
-        
-        const url = await getSignedUrl(s3Client, getCommand, { expiresIn: 3600 });
-        
+async function confirmUpload(event, schedule) {
+    const body = JSON.parse(getRequestBody(event).toString('utf8') || '{}');
+    
+    if (!UPLOAD_ID_PATTERN.test(body.uploadId || '')) {
         return {
-            statusCode: 200,
+            statusCode: 400,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
-            body: JSON.stringify({ url })
+            body: JSON.stringify({ error: 'Invalid upload ID' })
         };
-    } catch (error) {
-        if (error.name === 'NotFound') {
-            return {
-                statusCode: 404,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                },
-                body: JSON.stringify({ error: 'No file uploaded yet' })
-            };
-        }
-        throw error;
+    }
+    
+    const uploadKey = getUploadKey(schedule, body.uploadId);
+    const fileContent = await storage.get(uploadKey);
+    
+    if (!fileContent) {
+        return {
+            statusCode: 404,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: 'Upload not found' })
+        };
+    }
+    
+    try {
+        return await storeUpload(schedule, fileContent, body);
+    } finally {
+        // The staged copy is no longer needed, whether it was accepted or not
+        await storage.delete(uploadKey);
     }
 }
 
-function getHtmlContent() {
-    return `<!DOCTYPE html>
-<html lang="es">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>MS Project Style Gantt Chart Viewer</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        
-        /* Ensure consistent rendering */
-        .task-panel *, .gantt-panel * {
-            box-sizing: border-box;
+// Post-upload processing shared by both upload flows: validate, then store as a new version
+async function storeUpload(schedule, uploadedContent, { note, fileName }) {
+    let fileContent = uploadedContent;
+    let source = 'excel';
+    let problems = [];
+    
+    // MS Project XML is stored as the equivalent workbook
+    if (isMspdi(uploadedContent)) {
+        source = 'mspdi';
+        try {
+            fileContent = convertMspdiToWorkbook(uploadedContent.toString('utf8'));
+        } catch (error) {
+            problems.push({ code: 'invalid_mspdi', message: 'The MS Project XML file could not be read: ' + error.message });
         }
+    }
+    
+    // Reject broken workbooks before they replace the current schedule
+    if (problems.length === 0) {
+        problems = validateWorkbook(fileContent);
+    }
+    
+    if (problems.length > 0) {
+        return {
+            statusCode: 422,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ 
+                error: 'Invalid workbook', 
+                problems 
+            })
+        };
+    }
+    
+    // Keep the schedule being replaced so subscribers can be told what changed
+    const previous = await loadPreviousSchedule(schedule);
+    
+    // Every upload is kept as its own timestamped version
+    const versionId = new Date().toISOString().replace(/[:.]/g, '-');
+    const format = getWorkbookFormat(fileContent);
+    const metadata = {
+        note: encodeURIComponent(note || ''),
+        filename: encodeURIComponent(fileName || ''),
+        source,
+        extension: format.extension
+    };
+    
+    // Store the version
+    await storage.put(getVersionKey(schedule, versionId), fileContent, {
+        contentType: format.contentType,
+        metadata
+    });
+    
+    // Update the latest copy that the viewer loads by default
+    await storage.put(getScheduleKey(schedule, EXCEL_FILE_KEY), fileContent, {
+        contentType: format.contentType,
+        metadata: { ...metadata, version: versionId }
+    });
+    
+    // Notifications go out in the background: a slow or unreachable endpoint never holds up the upload.
+    // On Lambda, deliveries still pending when the response is returned finish when the instance is next thawed.
+    if (previous) {
+        notifyScheduleChanges(schedule, versionId, previous, fileContent, { note, fileName });
+    }
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ 
+            success: true, 
+            message: 'File uploaded successfully',
+            version: versionId
+        })
+    };
+}
+
+// .xls (OLE2) or .xlsx, from the file signature. Storage keys always end in .xlsx, so the real
+// extension and content type are kept with each version and used when it is downloaded.
+function getWorkbookFormat(fileContent) {
+    const ole2 = FILE_SIGNATURES[1];
+    return fileContent.subarray(0, ole2.length).equals(ole2) ?
+        { extension: 'xls', contentType: XLS_CONTENT_TYPE } :
+        { extension: 'xlsx', contentType: XLSX_CONTENT_TYPE };
+}
+
+function getUploadKey(schedule, uploadId) {
+    return getScheduleKey(schedule, UPLOADS_PREFIX + uploadId);
+}
+
+// Tasks and version of the current latest file, read only when webhooks are configured.
+// Null on a schedule's first upload, so there is nothing to diff and no notification is sent.
+async function loadPreviousSchedule(schedule) {
+    if (WEBHOOK_URLS.length === 0 && CHAT_WEBHOOK_URLS.length === 0) return null;
+    
+    try {
+        const head = await storage.head(getScheduleKey(schedule, EXCEL_FILE_KEY));
+        if (!head) return null;
         
-        /* Override any browser defaults */
-        .task-panel, .gantt-panel {
-            -webkit-font-smoothing: antialiased;
-            -moz-osx-font-smoothing: grayscale;
-        }
+        const loaded = await loadScheduleTasks(schedule);
+        return {
+            version: head.metadata ? head.metadata.version || null : null,
+            tasks: loaded ? loaded.tasks : []
+        };
+    } catch (error) {
+        // An unreadable previous file is reported as a schedule with no tasks
+        console.error('Could not read the previous schedule:', error);
+        return { version: null, tasks: [] };
+    }
+}
+
+// Diff the new upload against the previous one and post the summary to every webhook
+async function notifyScheduleChanges(schedule, versionId, previous, fileContent, { note, fileName }) {
+    try {
+        const { rows } = readWorkbookRows(fileContent);
+        const changes = diffSchedules(previous.tasks, buildTasks(rows));
+        
+        const payload = {
+            event: 'schedule.uploaded',
+            schedule,
+            version: versionId,
+            previousVersion: previous.version,
+            uploadedAt: new Date().toISOString(),
+            note: note || '',
+            fileName: fileName || '',
+            summary: Object.fromEntries(Object.entries(changes).map(([kind, items]) => [kind, items.length])),
+            changes
+        };
+        const chatPayload = { text: formatChangesMarkdown(schedule, versionId, changes, note) };
         
-        /* Ensure panels align at the top */
-        #taskList {
-            padding: 0;
-            margin: 0;
-            display: block;
-        }
+        await Promise.all([
+            ...WEBHOOK_URLS.map(url => postWebhook(url, payload)),
+            ...CHAT_WEBHOOK_URLS.map(url => postWebhook(url, chatPayload))
+        ]);
+    } catch (error) {
+        // Notifications never fail an upload that has already been stored
+        console.error('Error sending change notifications:', error);
+    }
+}
+
+// POST a JSON body, retrying network errors, 429 and 5xx responses with exponential backoff
+async function postWebhook(url, payload) {
+    const body = JSON.stringify(payload);
+    
+    for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+        let retryable = true;
         
-        #ganttRows {
-            padding: 0;
-            margin: 0;
-            display: block;
-            position: relative;
+        try {
+            const statusCode = await postJson(url, body);
+            if (statusCode >= 200 && statusCode < 300) return true;
+            
+            retryable = statusCode === 429 || statusCode >= 500;
+            console.error(`Webhook ${redactUrl(url)} answered ${statusCode} (attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS})`);
+        } catch (error) {
+            console.error(`Webhook ${redactUrl(url)} failed: ${error.message} (attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS})`);
         }
         
-        /* Ensure consistent scrollbar rendering */
-        .task-panel::-webkit-scrollbar,
-        .gantt-panel::-webkit-scrollbar {
-            width: 12px;
-            height: 12px;
-        }
+        if (!retryable || attempt === WEBHOOK_MAX_ATTEMPTS) break;
+        await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY_MS * 2 ** (attempt - 1)));
+    }
+    
+    console.error(`Giving up on webhook ${redactUrl(url)}`);
+    return false;
+}
+
+// Send one request and resolve with the response status code
+function postJson(url, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'gantt-chart-viewer'
+            }
+        }, res => {
+            res.resume();
+            res.on('end', () => {
+                clearTimeout(timer);
+                resolve(res.statusCode);
+            });
+        });
+        
+        const timer = setTimeout(() => req.destroy(new Error('timed out')), WEBHOOK_TIMEOUT_MS);
+        req.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        req.end(body);
+    });
+}
+
+// Webhook URLs often embed tokens in the path or query; log only the origin
+function redactUrl(url) {
+    try {
+        return new URL(url).origin;
+    } catch (error) {
+        return '(invalid URL)';
+    }
+}
+
+function parseUrlList(value) {
+    return value.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+// "Status:percent" pairs into a table keyed by the lower-cased status
+function parseStatusProgress(value) {
+    const table = {};
+    value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.lastIndexOf(':');
+        const percent = Number(entry.slice(separator + 1));
+        if (separator === -1 || entry.slice(separator + 1).trim() === '' || isNaN(percent) || percent < 0 || percent > 100) {
+            throw new Error(`Invalid entry "${entry}" in STATUS_PROGRESS`);
+        }
+        table[entry.slice(0, separator).trim().toLowerCase()] = percent;
+    });
+    return table;
+}
+
+// Check an uploaded workbook; returns a list of problems (empty when valid)
+function validateWorkbook(fileContent) {
+    const problems = [];
+    
+    if (fileContent.length === 0) {
+        problems.push({ code: 'empty_file', message: 'The file is empty' });
+        return problems;
+    }
+    
+    if (fileContent.length > MAX_UPLOAD_BYTES) {
+        problems.push({
+            code: 'file_too_large',
+            message: `The file is larger than ${MAX_UPLOAD_BYTES} bytes`,
+            value: fileContent.length
+        });
+        return problems;
+    }
+    
+    if (!FILE_SIGNATURES.some(signature => fileContent.subarray(0, signature.length).equals(signature))) {
+        problems.push({ code: 'invalid_signature', message: 'The file is not an Excel workbook (.xlsx or .xls)' });
+        return problems;
+    }
+    
+    let sheetName, rows;
+    try {
+        ({ sheetName, rows } = readWorkbookRows(fileContent));
+    } catch (error) {
+        problems.push({ code: 'unreadable_workbook', message: 'The workbook could not be read: ' + error.message });
+        return problems;
+    }
+    
+    if (!sheetName || rows.length === 0) {
+        problems.push({ code: 'no_sheet', message: 'The workbook has no readable sheet' });
+        return problems;
+    }
+    
+    // Required headers
+    const headers = rows[0] || [];
+    REQUIRED_HEADERS.forEach(header => {
+        if (!headers.includes(header)) {
+            problems.push({ code: 'missing_header', message: `Missing column "${header}"`, column: header, sheet: sheetName });
+        }
+    });
+    
+    if (problems.length > 0) return problems;
+    
+    const idIndex = headers.indexOf('ID');
+    const dateColumns = ['Start Date', 'End Date'].filter(header => headers.includes(header));
+    const seenIds = {};
+    let taskCount = 0;
+    
+    for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (!row || row.length === 0) continue;
+        taskCount++;
+        
+        // Excel row number (the header is row 1)
+        const rowNumber = i + 1;
+        
+        // Duplicate IDs
+        const id = idIndex !== -1 ? row[idIndex] : '';
+        if (id !== undefined && id !== '') {
+            if (seenIds[id]) {
+                problems.push({
+                    code: 'duplicate_id',
+                    message: `ID ${id} is repeated (first seen in row ${seenIds[id]})`,
+                    row: rowNumber,
+                    column: 'ID',
+                    value: id
+                });
+            } else {
+                seenIds[id] = rowNumber;
+            }
+        }
+        
+        // Unparseable dates
+        dateColumns.forEach(header => {
+            const value = row[headers.indexOf(header)];
+            if (value !== undefined && value !== '' && !parseDate(value)) {
+                problems.push({
+                    code: 'invalid_date',
+                    message: `"${value}" is not a valid date`,
+                    row: rowNumber,
+                    column: header,
+                    value
+                });
+            }
+        });
+    }
+    
+    if (taskCount === 0) {
+        problems.push({ code: 'no_tasks', message: 'The sheet has no task rows', sheet: sheetName });
+    }
+    
+    return problems;
+}
+
+function getVersionKey(schedule, versionId) {
+    return getScheduleKey(schedule, VERSIONS_PREFIX + versionId + '.xlsx');
+}
+
+async function listVersions(schedule) {
+    const prefix = getScheduleKey(schedule, VERSIONS_PREFIX);
+    
+    const { objects } = await storage.list(prefix);
+    
+    // The uploader note lives in the object metadata
+    const versions = await Promise.all(objects.map(async (object) => {
+        const head = await storage.head(object.key);
+        const metadata = (head && head.metadata) || {};
+        
+        return {
+            id: object.key.slice(prefix.length).replace(/\.xlsx$/, ''),
+            uploadedAt: object.lastModified,
+            size: object.size,
+            note: decodeURIComponent(metadata.note || ''),
+            fileName: decodeURIComponent(metadata.filename || ''),
+            source: metadata.source || 'excel',
+            extension: metadata.extension || 'xlsx'
+        };
+    }));
+    
+    versions.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ versions })
+    };
+}
+
+async function listSchedules() {
+    // Each named schedule shows up as a common prefix under schedules/
+    const { prefixes } = await storage.list(SCHEDULES_PREFIX, { delimiter: '/' });
+    const names = prefixes.map(prefix => prefix.slice(SCHEDULES_PREFIX.length).replace(/\/$/, ''));
+    
+    const schedules = await Promise.all([DEFAULT_SCHEDULE, ...names.sort()].map(async (name) => {
+        const head = await storage.head(getScheduleKey(name, EXCEL_FILE_KEY));
+        return head ?
+            { name, updatedAt: head.lastModified, size: head.size } :
+            { name, updatedAt: null, size: 0 };
+    }));
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ schedules })
+    };
+}
+
+async function getDownloadUrl(schedule, version, baseUrl) {
+    if (version && !VERSION_ID_PATTERN.test(version)) {
+        return {
+            statusCode: 400,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: 'Invalid version' })
+        };
+    }
+    
+    const key = version ? getVersionKey(schedule, version) : getScheduleKey(schedule, EXCEL_FILE_KEY);
+    
+    // Check if file exists
+    const head = await storage.head(key);
+    
+    if (!head) {
+        return {
+            statusCode: 404,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: version ? 'Version not found' : 'No file uploaded yet' })
+        };
+    }
+    
+    // Generate signed URL valid for 1 hour, named and typed like the uploaded file (versions before
+    // the extension was recorded were all stored as .xlsx)
+    const extension = (head.metadata && head.metadata.extension) || 'xlsx';
+    const url = await storage.getSignedUrl(key, {
+        expiresIn: DOWNLOAD_URL_EXPIRES_IN,
+        baseUrl,
+        fileName: `${schedule}${version ? '-' + version : ''}.${extension}`,
+        contentType: extension === 'xls' ? XLS_CONTENT_TYPE : XLSX_CONTENT_TYPE
+    });
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ url })
+    };
+}
+
+async function getTasksJson(schedule, version) {
+    if (version && !VERSION_ID_PATTERN.test(version)) {
+        return {
+            statusCode: 400,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: 'Invalid version' })
+        };
+    }
+    
+    const loaded = await loadScheduleTasks(schedule, version);
+    
+    if (!loaded) {
+        return {
+            statusCode: 404,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: version ? 'Version not found' : 'No file uploaded yet' })
+        };
+    }
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({
+            schedule,
+            version: version || null,
+            sheetName: loaded.sheetName,
+            tasks: loaded.tasks.map(serializeTask)
+        })
+    };
+}
+
+async function exportMspdi(schedule, version) {
+    if (version && !VERSION_ID_PATTERN.test(version)) {
+        return {
+            statusCode: 400,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: 'Invalid version' })
+        };
+    }
+    
+    const loaded = await loadScheduleTasks(schedule, version);
+    
+    if (!loaded) {
+        return {
+            statusCode: 404,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: version ? 'Version not found' : 'No file uploaded yet' })
+        };
+    }
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/xml; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${schedule}.xml"`,
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: buildMspdi(loaded.tasks, { title: loaded.sheetName })
+    };
+}
+
+async function getCalendarFeed(schedule, query) {
+    const loaded = await loadScheduleTasks(schedule);
+    
+    if (!loaded) {
+        return {
+            statusCode: 404,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: 'No file uploaded yet' })
+        };
+    }
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `inline; filename="${schedule}.ics"`,
+            // Calendar apps poll the feed; always serve the latest upload
+            'Cache-Control': 'no-cache',
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: buildCalendar(loaded.tasks, {
+            schedule,
+            title: loaded.sheetName,
+            assignee: query.assignee,
+            project: query.project
+        })
+    };
+}
+
+// Baseline saved for a schedule, as stored (404 when none was saved)
+async function getBaseline(schedule) {
+    const content = await storage.get(getScheduleKey(schedule, BASELINE_KEY));
+    
+    if (!content) {
+        return {
+            statusCode: 404,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: 'No baseline saved' })
+        };
+    }
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: content.toString('utf8')
+    };
+}
+
+// Store the start and end date of every task with an ID; replaces any earlier baseline
+async function saveBaseline(event, schedule) {
+    const body = JSON.parse(getRequestBody(event).toString('utf8') || '{}');
+    let version = body.version || null;
+    
+    if (version && !VERSION_ID_PATTERN.test(version)) {
+        return {
+            statusCode: 400,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: 'Invalid version' })
+        };
+    }
+    
+    const loaded = await loadScheduleTasks(schedule, version);
+    
+    if (!loaded) {
+        return {
+            statusCode: 404,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: version ? 'Version not found' : 'No file uploaded yet' })
+        };
+    }
+    
+    // Record which upload the latest copy was when it is frozen
+    if (!version) {
+        const head = await storage.head(getScheduleKey(schedule, EXCEL_FILE_KEY));
+        version = head && head.metadata ? head.metadata.version || null : null;
+    }
+    
+    const baseline = {
+        name: String(body.name || DEFAULT_BASELINE_NAME).slice(0, 100),
+        version,
+        savedAt: new Date().toISOString(),
+        tasks: loaded.tasks.filter(task => task.id).map(task => ({
+            id: task.id,
+            startDate: toIsoDate(task.startDate),
+            endDate: toIsoDate(task.endDate)
+        }))
+    };
+    
+    await storage.put(getScheduleKey(schedule, BASELINE_KEY), Buffer.from(JSON.stringify(baseline)), {
+        contentType: 'application/json'
+    });
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({
+            success: true,
+            baseline: {
+                name: baseline.name,
+                version: baseline.version,
+                savedAt: baseline.savedAt,
+                taskCount: baseline.tasks.length
+            }
+        })
+    };
+}
+
+// Read the stored workbook of a schedule (latest unless a version is given); null if missing
+async function readScheduleFile(schedule, version) {
+    const key = version ? getVersionKey(schedule, version) : getScheduleKey(schedule, EXCEL_FILE_KEY);
+    return storage.get(key);
+}
+
+// Parse the stored workbook of a schedule into tasks; null if missing
+async function loadScheduleTasks(schedule, version) {
+    const fileContent = await readScheduleFile(schedule, version);
+    if (!fileContent) return null;
+    
+    const { sheetName, rows } = readWorkbookRows(fileContent);
+    return { sheetName, tasks: buildTasks(rows) };
+}
+
+// Serve a file for a URL signed by signFileUrl
+async function serveSignedFile(encodedKey, query) {
+    const key = decodePathComponent(encodedKey);
+    const expires = parseInt(query.expires);
+    
+    if (!expires || expires * 1000 < Date.now() || !safeEqual(signFileKey('GET', key, expires), query.signature || '')) {
+        return {
+            statusCode: 403,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: 'Invalid or expired link' })
+        };
+    }
+    
+    const head = await storage.head(key);
+    const fileContent = head && await storage.get(key);
+    
+    if (!fileContent) {
+        return {
+            statusCode: 404,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: 'Not found' })
+        };
+    }
+    
+    // Uploaded workbooks carry their real extension (the key always ends in .xlsx)
+    const headers = {
+        'Content-Type': head.contentType || 'application/octet-stream',
+        'Access-Control-Allow-Origin': '*'
+    };
+    const extension = head.metadata && head.metadata.extension;
+    if (extension) {
+        headers['Content-Disposition'] = `attachment; filename="${key.split('/').pop().replace(/\.xlsx$/, '.' + extension)}"`;
+    }
+    
+    return {
+        statusCode: 200,
+        headers,
+        body: fileContent.toString('base64'),
+        isBase64Encoded: true
+    };
+}
+
+// Store a file sent to a URL signed by signFileUrl for PUT
+async function receiveSignedFile(encodedKey, event) {
+    const key = decodePathComponent(encodedKey);
+    const query = event.queryStringParameters || {};
+    const expires = parseInt(query.expires);
+    const size = query.size ? parseInt(query.size) : null;
+    
+    if (!expires || expires * 1000 < Date.now() || !safeEqual(signFileKey('PUT', key, expires, size), query.signature || '')) {
+        return {
+            statusCode: 403,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: 'Invalid or expired link' })
+        };
+    }
+    
+    const headers = {};
+    Object.entries(event.headers || {}).forEach(([name, value]) => {
+        headers[name.toLowerCase()] = value;
+    });
+    
+    // Like S3 with a signed ContentLength: nothing larger than the announced size (or the upload limit) is stored
+    const body = getRequestBody(event);
+    if (body.length > Math.min(size || MAX_UPLOAD_BYTES, MAX_UPLOAD_BYTES)) {
+        return {
+            statusCode: 413,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({ error: 'File too large' })
+        };
+    }
+    
+    await storage.put(key, body, { contentType: headers['content-type'] });
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: ''
+    };
+}
+
+// The size of an upload URL is signed too, so it cannot be raised by editing the query
+function signFileKey(method, key, expires, size) {
+    const signed = method + '\n' + key + '\n' + expires + (size ? '\n' + size : '');
+    return crypto.createHmac('sha256', FILE_URL_SECRET).update(signed).digest('base64url');
+}
+
+// URL of the /files/ route for a key, for backends without their own presigned URLs
+function signFileUrl(method, key, { expiresIn, baseUrl, contentLength }) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    const size = method === 'PUT' && contentLength ? contentLength : null;
+    const signature = signFileKey(method, key, expires, size);
+    return `${baseUrl}${FILES_ROUTE}${encodedKey}?expires=${expires}${size ? '&size=' + size : ''}&signature=${signature}`;
+}
+
+// Public base URL of the Lambda for the current request (includes the API Gateway stage)
+function getRequestBaseUrl(event) {
+    const headers = {};
+    Object.entries(event.headers || {}).forEach(([name, value]) => {
+        headers[name.toLowerCase()] = value;
+    });
+    
+    const protocol = headers['x-forwarded-proto'] || 'https';
+    const host = headers['host'] || event.requestContext?.domainName || 'localhost';
+    
+    // REST APIs strip the stage from event.path but keep it in requestContext.path
+    const contextPath = event.requestContext?.path || '';
+    const stagePrefix = event.path && contextPath.endsWith(event.path) ?
+        contextPath.slice(0, contextPath.length - event.path.length) : '';
+    
+    return `${protocol}://${host}${stagePrefix}`;
+}
+
+// Storage backends share one interface:
+//   put(key, body, { contentType, metadata })  head(key) -> { size, lastModified, contentType, metadata } | null
+//   get(key) -> Buffer | null  list(prefix, { delimiter }) -> { objects: [{ key, size, lastModified }], prefixes }
+//   delete(key)  getSignedUrl(key, { expiresIn, baseUrl, fileName, contentType }) -> download URL
+//   getUploadUrl(key, { expiresIn, contentType, contentLength, baseUrl }) -> URL the browser can PUT to
+function createStorage(backend) {
+    switch (backend) {
+        case 's3': return createS3Storage(BUCKET_NAME);
+        case 'fs': return createFileSystemStorage(LOCAL_STORAGE_DIR);
+        case 'memory': return createMemoryStorage();
+        default: throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use s3, fs or memory)`);
+    }
+}
+
+function createS3Storage(bucket) {
+    // Loaded lazily so the fs and memory backends run without the AWS SDK
+    const { S3Client, PutObjectCommand, HeadObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+    
+    // Create S3 client
+    const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+    
+    return {
+        async put(key, body, { contentType, metadata } = {}) {
+            const command = new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+                Metadata: metadata
+            });
+            
+            await s3Client.send(command);
+        },
+        
+        async head(key) {
+            try {
+                const command = new HeadObjectCommand({
+                    Bucket: bucket,
+                    Key: key
+                });
+                
+                const head = await s3Client.send(command);
+                return {
+                    size: head.ContentLength,
+                    lastModified: head.LastModified,
+                    contentType: head.ContentType,
+                    metadata: head.Metadata || {}
+                };
+            } catch (error) {
+                if (error.name === 'NotFound') return null;
+                throw error;
+            }
+        },
+        
+        async get(key) {
+            try {
+                const command = new GetObjectCommand({
+                    Bucket: bucket,
+                    Key: key
+                });
+                
+                const response = await s3Client.send(command);
+                return Buffer.from(await response.Body.transformToByteArray());
+            } catch (error) {
+                if (error.name === 'NoSuchKey' || error.name === 'NotFound') return null;
+                throw error;
+            }
+        },
+        
+        async list(prefix, { delimiter } = {}) {
+            // S3 returns at most 1000 keys per page
+            const objects = [];
+            const prefixes = [];
+            let continuationToken;
+            
+            do {
+                const command = new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: prefix,
+                    Delimiter: delimiter,
+                    ContinuationToken: continuationToken
+                });
+                
+                const result = await s3Client.send(command);
+                (result.Contents || []).forEach(object => {
+                    objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+                });
+                (result.CommonPrefixes || []).forEach(commonPrefix => prefixes.push(commonPrefix.Prefix));
+                continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+            } while (continuationToken);
+            
+            return { objects, prefixes };
+        },
+        
+        async delete(key) {
+            const command = new DeleteObjectCommand({
+                Bucket: bucket,
+                Key: key
+            });
+            
+            await s3Client.send(command);
+        },
+        
+        async getSignedUrl(key, { expiresIn, fileName, contentType }) {
+            const command = new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ResponseContentDisposition: fileName ? `attachment; filename="${fileName}"` : undefined,
+                ResponseContentType: contentType
+            });
+            
+            return getSignedUrl(s3Client, command, { expiresIn });
+        },
+        
+        // The bucket needs a CORS rule allowing PUT from the viewer's origin
+        async getUploadUrl(key, { expiresIn, contentType, contentLength }) {
+            const command = new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ContentType: contentType,
+                ContentLength: contentLength
+            });
+            
+            return getSignedUrl(s3Client, command, { expiresIn });
+        }
+    };
+}
+
+function createFileSystemStorage(rootDir) {
+    // Metadata is kept next to the files in a hidden directory
+    const METADATA_DIR = '.metadata';
+    const filePath = (key) => nodePath.join(rootDir, ...key.split('/'));
+    const metadataPath = (key) => nodePath.join(rootDir, METADATA_DIR, ...key.split('/')) + '.json';
+    
+    async function walk(dir, relative) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        
+        const keys = [];
+        for (const entry of entries) {
+            if (!relative && entry.name === METADATA_DIR) continue;
+            const key = relative ? relative + '/' + entry.name : entry.name;
+            if (entry.isDirectory()) {
+                keys.push(...await walk(nodePath.join(dir, entry.name), key));
+            } else {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+    
+    return {
+        async put(key, body, { contentType, metadata } = {}) {
+            assertSafeKey(key);
+            await fs.promises.mkdir(nodePath.dirname(filePath(key)), { recursive: true });
+            await fs.promises.writeFile(filePath(key), body);
+            await fs.promises.mkdir(nodePath.dirname(metadataPath(key)), { recursive: true });
+            await fs.promises.writeFile(metadataPath(key), JSON.stringify({ contentType, metadata: metadata || {} }));
+        },
+        
+        async head(key) {
+            assertSafeKey(key);
+            try {
+                const stats = await fs.promises.stat(filePath(key));
+                let info = {};
+                try {
+                    info = JSON.parse(await fs.promises.readFile(metadataPath(key), 'utf8'));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+                return {
+                    size: stats.size,
+                    lastModified: stats.mtime,
+                    contentType: info.contentType,
+                    metadata: info.metadata || {}
+                };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        
+        async get(key) {
+            assertSafeKey(key);
+            try {
+                return await fs.promises.readFile(filePath(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        
+        async list(prefix, { delimiter } = {}) {
+            const keys = (await walk(rootDir, '')).filter(key => key.startsWith(prefix));
+            const objects = await Promise.all(keys.map(async (key) => {
+                const stats = await fs.promises.stat(filePath(key));
+                return { key, size: stats.size, lastModified: stats.mtime };
+            }));
+            return groupByDelimiter(objects, prefix, delimiter);
+        },
+        
+        async delete(key) {
+            assertSafeKey(key);
+            await fs.promises.rm(filePath(key), { force: true });
+            await fs.promises.rm(metadataPath(key), { force: true });
+        },
+        
+        async getSignedUrl(key, options) {
+            return signFileUrl('GET', key, options);
+        },
+        
+        async getUploadUrl(key, options) {
+            return signFileUrl('PUT', key, options);
+        }
+    };
+}
+
+function createMemoryStorage() {
+    const objects = new Map();
+    
+    return {
+        async put(key, body, { contentType, metadata } = {}) {
+            objects.set(key, {
+                body: Buffer.from(body),
+                contentType,
+                metadata: metadata || {},
+                lastModified: new Date()
+            });
+        },
+        
+        async head(key) {
+            const object = objects.get(key);
+            if (!object) return null;
+            return {
+                size: object.body.length,
+                lastModified: object.lastModified,
+                contentType: object.contentType,
+                metadata: object.metadata
+            };
+        },
+        
+        async get(key) {
+            const object = objects.get(key);
+            return object ? object.body : null;
+        },
+        
+        async list(prefix, { delimiter } = {}) {
+            const matches = [...objects.entries()]
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, object]) => ({ key, size: object.body.length, lastModified: object.lastModified }));
+            return groupByDelimiter(matches, prefix, delimiter);
+        },
+        
+        async delete(key) {
+            objects.delete(key);
+        },
+        
+        async getSignedUrl(key, options) {
+            return signFileUrl('GET', key, options);
+        },
+        
+        async getUploadUrl(key, options) {
+            return signFileUrl('PUT', key, options);
+        }
+    };
+}
+
+// Split a flat key listing into objects and common prefixes, like S3 does with a delimiter
+function groupByDelimiter(objects, prefix, delimiter) {
+    objects.sort((a, b) => (a.key < b.key ? -1 : 1));
+    
+    if (!delimiter) {
+        return { objects, prefixes: [] };
+    }
+    
+    const prefixes = new Set();
+    const direct = [];
+    objects.forEach(object => {
+        const index = object.key.indexOf(delimiter, prefix.length);
+        if (index === -1) {
+            direct.push(object);
+        } else {
+            prefixes.add(object.key.slice(0, index + delimiter.length));
+        }
+    });
+    
+    return { objects: direct, prefixes: [...prefixes] };
+}
+
+// Reject keys that would escape the local storage directory
+function assertSafeKey(key) {
+    if (!key || key.split('/').some(part => part === '..' || part === '') || nodePath.isAbsolute(key)) {
+        throw new Error(`Invalid storage key "${key}"`);
+    }
+}
+
+// Read the task sheet as an array of rows, the same way the viewer does with SheetJS
+function readWorkbookRows(fileContent) {
+    const workbook = XLSX.read(fileContent, {
+        type: 'buffer',
+        cellDates: true
+    });
+    
+    // Find the right sheet
+    let sheetName = DEFAULT_SHEET_NAME;
+    if (!workbook.Sheets[sheetName]) {
+        sheetName = workbook.SheetNames[0];
+    }
+    
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+        header: 1,
+        raw: false,
+        dateNF: 'yyyy-mm-dd'
+    });
+    
+    return { sheetName, rows };
+}
+
+// Position of each TASK_COLUMNS header in the sheet (-1 when missing)
+function getColumnIndices(headers) {
+    const colIndices = {};
+    Object.keys(TASK_COLUMNS).forEach(field => {
+        colIndices[field] = headers.findIndex(h => h === TASK_COLUMNS[field]);
+    });
+    return colIndices;
+}
+
+// Build the task model from sheet rows (mirrors processExcelData in the viewer)
+function buildTasks(rows) {
+    const headers = rows[0] || [];
+    const tasks = [];
+    
+    const colIndices = getColumnIndices(headers);
+    
+    for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (!row || row.length === 0) continue;
+        
+        const restante = parseInt(row[colIndices.restante]);
+        
+        const task = {
+            level: parseInt(row[colIndices.level]) || 0,
+            id: String(row[colIndices.id] || ''),
+            taskName: row[colIndices.taskName] || '',
+            description: row[colIndices.description] || '',
+            startDate: parseDate(row[colIndices.startDate]),
+            endDate: parseDate(row[colIndices.endDate]),
+            dias: parseInt(row[colIndices.dias]) || 0,
+            restante: isNaN(restante) ? null : restante,
+            assignedTo: row[colIndices.assignedTo] || '',
+            dependencies: row[colIndices.dependencies] || '',
+            links: parseDependencyLinks(row[colIndices.dependencies] || ''),
+            status: row[colIndices.status] || '',
+            type: row[colIndices.type] || '',
+            baselineStart: parseDate(row[colIndices.baselineStart]),
+            baselineEnd: parseDate(row[colIndices.baselineEnd]),
+            pinned: isPinnedValue(row[colIndices.pinned]),
+            percentComplete: parsePercentValue(row[colIndices.percentComplete]),
+            rowIndex: i - 1,
+            projectId: null
+        };
+        task.dependencyIds = task.links.map(link => link.id);
+        
+        tasks.push(task);
+    }
+    
+    assignOutline(tasks);
+    return tasks;
+}
+
+// Parent/child tree from "Level": parentId, depth, WBS number (1.2.3), hasChildren and the enclosing Project.
+// A Project row always contains the tasks under it, even when the sheet puts them at the same level.
+function assignOutline(tasks) {
+    const stack = [];
+    const childCounts = new Map();
+    
+    tasks.forEach(task => {
+        while (stack.length > 0 && !isOutlineParent(stack[stack.length - 1], task)) {
+            stack.pop();
+        }
+        const parent = stack[stack.length - 1] || null;
+        
+        childCounts.set(parent, (childCounts.get(parent) || 0) + 1);
+        task.parentId = parent ? parent.id : null;
+        task.depth = parent ? parent.depth + 1 : 0;
+        task.wbs = (parent ? parent.wbs + '.' : '') + childCounts.get(parent);
+        task.hasChildren = false;
+        task.projectId = task.type === 'Project' ? task.id : (parent ? parent.projectId : null);
+        if (parent) parent.hasChildren = true;
+        
+        stack.push(task);
+    });
+}
+
+function isOutlineParent(candidate, task) {
+    return candidate.level < task.level || (candidate.type === 'Project' && task.type !== 'Project');
+}
+
+// "Pinned" column: the task keeps its dates when auto-scheduling moves its predecessors
+function isPinnedValue(value) {
+    return value === true || /^\s*(s[ií]|yes|true|x|1)\s*$/i.test(String(value || ''));
+}
+
+// "% Complete" as 0-100 from "45%", "45" or the 0.45 fraction of a percent cell; null when empty
+function parsePercentValue(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    let percent = parseFloat(text.replace(',', '.'));
+    if (isNaN(percent)) return null;
+    if (!text.includes('%') && percent > 0 && percent < 1) percent *= 100;
+    return Math.min(100, Math.max(0, Math.round(percent)));
+}
+
+// Same as the viewer's getTaskProgress: summary rows take the roll-up of the tasks under them when any has
+// progress, otherwise (and for other rows) "% Complete", then the STATUS_PROGRESS value of the status. Null when unknown.
+function getTaskProgress(task, tasks) {
+    if (task.hasChildren) {
+        const rolledUp = getRolledUpPercent(getLeafTasks(tasks, task));
+        if (rolledUp !== null) return rolledUp;
+    }
+    return getOwnProgress(task);
+}
+
+// "% Complete" when the row has it, otherwise the STATUS_PROGRESS value of its status (null when neither)
+function getOwnProgress(task) {
+    if (task.percentComplete !== null && task.percentComplete !== undefined) return task.percentComplete;
+    const status = String(task.status || '').trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(STATUS_PROGRESS, status) ? STATUS_PROGRESS[status] : null;
+}
+
+// Rows under a summary row that are not summaries themselves
+function getLeafTasks(tasks, summary) {
+    const leaves = [];
+    for (let i = tasks.indexOf(summary) + 1; i < tasks.length && tasks[i].depth > summary.depth; i++) {
+        if (!tasks[i].hasChildren) leaves.push(tasks[i]);
+    }
+    return leaves;
+}
+
+// Average % complete weighted by duration, as MS Project does; unknown progress counts as 0
+function getRolledUpPercent(leaves) {
+    if (!leaves.some(leaf => getOwnProgress(leaf) !== null)) return null;
+    
+    let weighted = 0;
+    let total = 0;
+    leaves.forEach(leaf => {
+        const duration = leaf.startDate && leaf.endDate ?
+            Math.round((leaf.endDate - leaf.startDate) / (1000 * 60 * 60 * 24)) + 1 : (leaf.dias || 1);
+        weighted += (getOwnProgress(leaf) || 0) * duration;
+        total += duration;
+    });
+    return Math.round(weighted / total);
+}
+
+// Parse dependency IDs - format could be "Task Name (ID)" or "ID, ID"
+function parseDependencyLinks(dependencies) {
+    const text = String(dependencies || '').trim();
+    if (text === '') return [];
+    
+    // "Name (12)" or "Name (12SS+2d)" when the IDs are in parentheses, otherwise "12, 13FF-1d"
+    const inParentheses = (text.match(/\(([^)]*)\)/g) || []).map(match => match.slice(1, -1));
+    const parts = inParentheses.some(part => DEPENDENCY_LINK_PATTERN.test(part.trim())) ?
+        inParentheses : text.split(/[,;]/);
+    
+    return parts.map(part => parseDependencyLink(part.trim())).filter(Boolean);
+}
+
+// { id, type, lag } with the lag in days; null when the text is not a link
+function parseDependencyLink(text) {
+    const match = text.match(DEPENDENCY_LINK_PATTERN);
+    if (!match) return null;
+    
+    const lag = match[4] ? Math.round(parseFloat(match[4])) * (match[3] === '-' ? -1 : 1) : 0;
+    return { id: match[1], type: (match[2] || 'FS').toUpperCase(), lag };
+}
+
+// Link type and lag as written in MS Project, e.g. "SS+2d"; empty for a plain finish-to-start link
+function formatLinkType(link) {
+    if (link.type === 'FS' && !link.lag) return '';
+    return link.type + (link.lag ? (link.lag > 0 ? '+' : '') + link.lag + 'd' : '');
+}
+
+// Parse date from various formats
+function parseDate(dateValue) {
+    if (!dateValue) return null;
+    
+    if (dateValue instanceof Date) {
+        return isNaN(dateValue) ? null : dateValue;
+    }
+    
+    const date = new Date(dateValue);
+    return isNaN(date) ? null : date;
+}
+
+// Format a date as YYYY-MM-DD
+function toIsoDate(date) {
+    if (!date || isNaN(date)) return null;
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Task as JSON: dates become ISO strings
+function serializeTask(task) {
+    return {
+        ...task,
+        startDate: toIsoDate(task.startDate),
+        endDate: toIsoDate(task.endDate),
+        baselineStart: toIsoDate(task.baselineStart),
+        baselineEnd: toIsoDate(task.baselineEnd)
+    };
+}
+
+// True if the upload looks like an MS Project XML document
+function isMspdi(fileContent) {
+    const head = fileContent.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    return head.startsWith('<') && /<Project[\s>]/.test(head);
+}
+
+// Convert an MSPDI document into a workbook with the "Proyectos Abiertos" layout
+function convertMspdiToWorkbook(xml) {
+    const tasks = parseMspdi(xml);
+    
+    if (tasks.length === 0) {
+        throw new Error('no tasks found');
+    }
+    
+    const rows = [SHEET_COLUMNS, ...tasks.map(task => SHEET_COLUMNS.map(column => task[column]))];
+    const sheet = XLSX.utils.aoa_to_sheet(rows, { cellDates: true, dateNF: 'yyyy-mm-dd' });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, DEFAULT_SHEET_NAME);
+    
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Read the tasks of an MSPDI document as sheet rows keyed by column name
+function parseMspdi(xml) {
+    if (!/<Project[\s>]/.test(xml)) {
+        throw new Error('missing <Project> element');
+    }
+    
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    
+    // Resource names by UID, and resource names assigned to each task UID
+    const resourceNames = {};
+    getXmlElements(getXmlElements(xml, 'Resources')[0] || '', 'Resource').forEach(resource => {
+        const name = getXmlText(resource, 'Name');
+        if (name) resourceNames[getXmlText(resource, 'UID')] = name;
+    });
+    
+    const assignees = {};
+    getXmlElements(getXmlElements(xml, 'Assignments')[0] || '', 'Assignment').forEach(assignment => {
+        const name = resourceNames[getXmlText(assignment, 'ResourceUID')];
+        const taskUid = getXmlText(assignment, 'TaskUID');
+        if (name) {
+            assignees[taskUid] = (assignees[taskUid] || []).concat(name);
+        }
+    });
+    
+    // Tasks, without their nested blocks so Baseline/TimephasedData dates don't leak in
+    const taskBlocks = getXmlElements(getXmlElements(xml, 'Tasks')[0] || '', 'Task').map(block => ({
+        block,
+        fields: block.replace(/<(PredecessorLink|Baseline|ExtendedAttribute|TimephasedData)>[\s\S]*?<\/\1>/g, '')
+    }));
+    
+    const idsByUid = {};
+    taskBlocks.forEach(({ fields }) => {
+        idsByUid[getXmlText(fields, 'UID')] = getXmlText(fields, 'ID');
+    });
+    
+    const tasks = [];
+    taskBlocks.forEach(({ block, fields }) => {
+        const uid = getXmlText(fields, 'UID');
+        const outlineLevel = parseInt(getXmlText(fields, 'OutlineLevel')) || 0;
+        
+        // Skip the project summary task (outline level 0) and blank rows
+        if (outlineLevel === 0 || getXmlText(fields, 'IsNull') === '1') return;
+        
+        const level = outlineLevel - 1;
+        const isSummary = getXmlText(fields, 'Summary') === '1';
+        const startDate = parseMspdiDate(getXmlText(fields, 'Start'));
+        const endDate = parseMspdiDate(getXmlText(fields, 'Finish'));
+        const percentComplete = parseInt(getXmlText(fields, 'PercentComplete')) || 0;
+        
+        // Predecessors in MS Project notation: "12", "12SS+2d", "14FF-1d"
+        const dependencies = getXmlElements(block, 'PredecessorLink').map(link => {
+            const predecessorId = idsByUid[getXmlText(link, 'PredecessorUID')];
+            if (!predecessorId) return null;
+            
+            const type = MSPDI_LINK_TYPES[getXmlText(link, 'Type')] || 'FS';
+            const lagDays = Math.round((parseInt(getXmlText(link, 'LinkLag')) || 0) / 10 / MSPDI_MINUTES_PER_DAY);
+            
+            if (type === 'FS' && lagDays === 0) return predecessorId;
+            return predecessorId + type + (lagDays === 0 ? '' : (lagDays > 0 ? '+' : '') + lagDays + 'd');
+        }).filter(Boolean);
+        
+        let type = level >= 2 ? 'Subtask' : 'Task';
+        if (isSummary && level === 0) type = 'Project';
+        
+        tasks.push({
+            'Level': level,
+            'ID': getXmlText(fields, 'ID'),
+            'Task Name': getXmlText(fields, 'Name'),
+            'Descripción': getXmlText(fields, 'Notes'),
+            'Start Date': startDate,
+            'End Date': endDate,
+            'Días': parseMspdiDuration(getXmlText(fields, 'Duration')),
+            'Restante': endDate ? Math.round((endDate - today) / (1000 * 60 * 60 * 24)) : '',
+            'Assigned To': (assignees[uid] || []).join(', '),
+            'Dependencies': dependencies.join(', '),
+            'Status': percentComplete >= 100 ? 'Completado' : (percentComplete > 0 ? 'En progreso' : 'No iniciado'),
+            'Type': type,
+            '% Complete': percentComplete
+        });
+    });
+    
+    return tasks;
+}
+
+// Serialize tasks as an MSPDI document that MS Project and ProjectLibre can open
+// (elements are written in the order the MSPDI schema expects)
+function buildMspdi(tasks, { title }) {
+    const datedTasks = tasks.filter(task => task.startDate || task.endDate);
+    const projectStart = datedTasks.length > 0 ?
+        new Date(Math.min(...datedTasks.map(task => task.startDate || task.endDate))) : new Date();
+    const projectFinish = datedTasks.length > 0 ?
+        new Date(Math.max(...datedTasks.map(task => task.endDate || task.startDate))) : projectStart;
+    
+    // MS Project IDs follow row order; keep a map from the sheet IDs for links
+    const uidsById = {};
+    tasks.forEach((task, index) => {
+        if (task.id) uidsById[task.id] = index + 1;
+    });
+    
+    // Resources from "Assigned To" (comma or semicolon separated names)
+    const resourceUids = {};
+    const assignments = [];
+    tasks.forEach((task, index) => {
+        String(task.assignedTo || '').split(/[,;]/).map(name => name.trim()).filter(Boolean).forEach(name => {
+            if (!resourceUids[name]) {
+                resourceUids[name] = Object.keys(resourceUids).length + 1;
+            }
+            assignments.push({ taskUid: index + 1, resourceUid: resourceUids[name] });
+        });
+    });
+    
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<Project xmlns="http://schemas.microsoft.com/project">',
+        '  <SaveVersion>14</SaveVersion>',
+        `  <Name>${escapeXml(title)}.xml</Name>`,
+        `  <Title>${escapeXml(title)}</Title>`,
+        '  <ScheduleFromStart>1</ScheduleFromStart>',
+        `  <StartDate>${formatMspdiDate(projectStart, 'start')}</StartDate>`,
+        `  <FinishDate>${formatMspdiDate(projectFinish, 'finish')}</FinishDate>`,
+        `  <MinutesPerDay>${MSPDI_MINUTES_PER_DAY}</MinutesPerDay>`,
+        `  <MinutesPerWeek>${MSPDI_MINUTES_PER_DAY * 5}</MinutesPerWeek>`,
+        '  <DaysPerMonth>20</DaysPerMonth>',
+        '  <DurationFormat>7</DurationFormat>',
+        '  <Tasks>',
+        '    <Task>',
+        '      <UID>0</UID>',
+        '      <ID>0</ID>',
+        `      <Name>${escapeXml(title)}</Name>`,
+        '      <OutlineNumber>0</OutlineNumber>',
+        '      <OutlineLevel>0</OutlineLevel>',
+        '      <Summary>1</Summary>',
+        '    </Task>'
+    ];
+    
+    tasks.forEach((task, index) => {
+        // Same outline as the viewer (see assignOutline), under the project summary task 0
+        const outlineLevel = task.depth + 1;
+        const isSummary = task.hasChildren;
+        const outlineNumber = task.wbs;
+        
+        const start = task.startDate || task.endDate;
+        const finish = task.endDate || task.startDate;
+        const days = task.dias || (start && finish ? Math.round((finish - start) / (1000 * 60 * 60 * 24)) + 1 : 0);
+        
+        lines.push('    <Task>');
+        lines.push(`      <UID>${index + 1}</UID>`);
+        lines.push(`      <ID>${index + 1}</ID>`);
+        lines.push(`      <Name>${escapeXml(task.taskName)}</Name>`);
+        // Keep the sheet's dates instead of letting MS Project reschedule leaf tasks
+        lines.push(`      <Manual>${isSummary ? 0 : 1}</Manual>`);
+        lines.push(`      <WBS>${outlineNumber}</WBS>`);
+        lines.push(`      <OutlineNumber>${outlineNumber}</OutlineNumber>`);
+        lines.push(`      <OutlineLevel>${outlineLevel}</OutlineLevel>`);
+        if (start) lines.push(`      <Start>${formatMspdiDate(start, 'start')}</Start>`);
+        if (finish) lines.push(`      <Finish>${formatMspdiDate(finish, 'finish')}</Finish>`);
+        lines.push(`      <Duration>PT${days * MSPDI_MINUTES_PER_DAY / 60}H0M0S</Duration>`);
+        lines.push('      <DurationFormat>7</DurationFormat>');
+        lines.push(`      <Summary>${isSummary ? 1 : 0}</Summary>`);
+        const progress = getTaskProgress(task, tasks);
+        if (progress !== null) lines.push(`      <PercentComplete>${progress}</PercentComplete>`);
+        if (task.description) lines.push(`      <Notes>${escapeXml(task.description)}</Notes>`);
+        
+        (task.links || []).forEach(link => {
+            if (!uidsById[link.id]) return;
+            lines.push('      <PredecessorLink>');
+            lines.push(`        <PredecessorUID>${uidsById[link.id]}</PredecessorUID>`);
+            lines.push(`        <Type>${MSPDI_LINK_TYPE_CODES[link.type]}</Type>`);
+            // LinkLag is in tenths of a minute
+            lines.push(`        <LinkLag>${link.lag * MSPDI_MINUTES_PER_DAY * 10}</LinkLag>`);
+            lines.push('        <LagFormat>7</LagFormat>');
+            lines.push('      </PredecessorLink>');
+        });
+        
+        lines.push('    </Task>');
+    });
+    
+    lines.push('  </Tasks>');
+    lines.push('  <Resources>');
+    Object.entries(resourceUids).forEach(([name, uid]) => {
+        lines.push(`    <Resource><UID>${uid}</UID><ID>${uid}</ID><Name>${escapeXml(name)}</Name><Type>1</Type></Resource>`);
+    });
+    lines.push('  </Resources>');
+    lines.push('  <Assignments>');
+    assignments.forEach((assignment, index) => {
+        lines.push(`    <Assignment><UID>${index + 1}</UID><TaskUID>${assignment.taskUid}</TaskUID>` +
+            `<ResourceUID>${assignment.resourceUid}</ResourceUID><Units>1</Units></Assignment>`);
+    });
+    lines.push('  </Assignments>');
+    lines.push('</Project>');
+    
+    return lines.join('\n') + '\n';
+}
+
+// Compare two task lists by ID: added/removed tasks, date shifts, newly overdue tasks and reassignments
+function diffSchedules(previousTasks, currentTasks) {
+    const describe = task => ({ id: task.id, taskName: task.taskName });
+    const previousById = new Map(previousTasks.filter(task => task.id).map(task => [task.id, task]));
+    const currentById = new Map(currentTasks.filter(task => task.id).map(task => [task.id, task]));
+    
+    const changes = { added: [], removed: [], dateShifts: [], newlyOverdue: [], reassigned: [] };
+    
+    currentById.forEach((task, id) => {
+        const before = previousById.get(id);
+        
+        if (!before) {
+            changes.added.push({ ...describe(task), startDate: toIsoDate(task.startDate), endDate: toIsoDate(task.endDate) });
+        } else {
+            const startFrom = toIsoDate(before.startDate);
+            const startTo = toIsoDate(task.startDate);
+            const endFrom = toIsoDate(before.endDate);
+            const endTo = toIsoDate(task.endDate);
+            
+            if (startFrom !== startTo || endFrom !== endTo) {
+                changes.dateShifts.push({
+                    ...describe(task),
+                    startDate: { from: startFrom, to: startTo },
+                    endDate: { from: endFrom, to: endTo },
+                    // Positive when the end date moved later
+                    slipDays: before.endDate && task.endDate ?
+                        Math.round((task.endDate - before.endDate) / (1000 * 60 * 60 * 24)) : null
+                });
+            }
+            
+            if (String(before.assignedTo).trim() !== String(task.assignedTo).trim()) {
+                changes.reassigned.push({ ...describe(task), from: before.assignedTo, to: task.assignedTo });
+            }
+        }
+        
+        // Overdue means a negative "Restante", the same rule the viewer colors red
+        const wasOverdue = before && before.restante !== null && before.restante < 0;
+        if (task.restante !== null && task.restante < 0 && !wasOverdue) {
+            changes.newlyOverdue.push({ ...describe(task), endDate: toIsoDate(task.endDate), restante: task.restante, assignedTo: task.assignedTo });
+        }
+    });
+    
+    previousById.forEach((task, id) => {
+        if (!currentById.has(id)) changes.removed.push(describe(task));
+    });
+    
+    return changes;
+}
+
+// Chat message summarizing an upload's changes
+function formatChangesMarkdown(schedule, versionId, changes, note) {
+    const sections = [
+        ['Tareas nuevas', changes.added, item => `${item.taskName} (${item.id})`],
+        ['Tareas eliminadas', changes.removed, item => `${item.taskName} (${item.id})`],
+        ['Cambios de fecha', changes.dateShifts, item => {
+            const slip = item.slipDays ? ` (${item.slipDays > 0 ? '+' : ''}${item.slipDays} días)` : '';
+            return `${item.taskName} (${item.id}): ${item.startDate.from || '—'} → ${item.startDate.to || '—'}, ` +
+                `fin ${item.endDate.from || '—'} → ${item.endDate.to || '—'}${slip}`;
+        }],
+        ['Nuevas tareas vencidas', changes.newlyOverdue, item =>
+            `${item.taskName} (${item.id}): vence ${item.endDate || '—'}${item.assignedTo ? ', ' + item.assignedTo : ''}`],
+        ['Reasignaciones', changes.reassigned, item =>
+            `${item.taskName} (${item.id}): ${item.from || 'sin asignar'} → ${item.to || 'sin asignar'}`]
+    ];
+    
+    const lines = [`*Nueva versión del cronograma "${schedule}"* (${versionId})`];
+    if (note) lines.push(`> ${note}`);
+    
+    let hasChanges = false;
+    sections.forEach(([title, items, format]) => {
+        if (items.length === 0) return;
+        hasChanges = true;
+        
+        lines.push('', `*${title}* (${items.length})`);
+        items.slice(0, CHAT_LIST_LIMIT).forEach(item => lines.push('• ' + format(item)));
+        if (items.length > CHAT_LIST_LIMIT) {
+            lines.push(`• … y ${items.length - CHAT_LIST_LIMIT} más`);
+        }
+    });
+    
+    if (!hasChanges) lines.push('', 'Sin cambios en las tareas.');
+    
+    return lines.join('\n');
+}
+
+// Build an iCalendar feed with one all-day event per task
+function buildCalendar(tasks, { schedule, title, assignee, project }) {
+    const tasksById = {};
+    tasks.forEach(task => {
+        if (task.id) tasksById[task.id] = task;
+    });
+    
+    const assigneeFilter = (assignee || '').trim().toLowerCase();
+    const projectFilter = (project || '').trim().toLowerCase();
+    
+    const selected = tasks.filter(task => {
+        if (task.type === 'Project' || (!task.startDate && !task.endDate)) return false;
+        
+        if (assigneeFilter) {
+            const names = String(task.assignedTo || '').split(/[,;]/).map(name => name.trim().toLowerCase());
+            if (!names.includes(assigneeFilter)) return false;
+        }
+        
+        if (projectFilter) {
+            const projectTask = tasksById[task.projectId];
+            const projectName = projectTask ? String(projectTask.taskName).toLowerCase() : '';
+            if (String(task.projectId).toLowerCase() !== projectFilter && projectName !== projectFilter) return false;
+        }
+        
+        return true;
+    });
+    
+    const calendarName = [title, assignee, project].filter(Boolean).join(' · ');
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//MS Project Style Gantt Chart Viewer//ES',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:' + escapeIcsText(calendarName),
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+    ];
+    
+    selected.forEach(task => {
+        const start = task.startDate || task.endDate;
+        const end = new Date(task.endDate || task.startDate);
+        end.setDate(end.getDate() + 1); // DTEND is exclusive for all-day events
+        
+        const projectTask = tasksById[task.projectId];
+        const dependencyNames = (task.links || []).map(link => {
+            const predecessor = tasksById[link.id];
+            const linkType = formatLinkType(link);
+            return (predecessor ? `${predecessor.taskName} (${link.id})` : link.id) + (linkType ? ' ' + linkType : '');
+        });
+        
+        const description = [
+            task.description,
+            projectTask && projectTask !== task ? 'Proyecto: ' + projectTask.taskName : '',
+            task.status ? 'Estado: ' + task.status : '',
+            task.assignedTo ? 'Asignado a: ' + task.assignedTo : '',
+            dependencyNames.length > 0 ? 'Dependencias: ' + dependencyNames.join(', ') : ''
+        ].filter(Boolean).join('\n');
+        
+        // Stable UIDs so subscribers update events in place after every upload
+        const uid = `${schedule}-${task.id || 'row' + task.rowIndex}@gantt-chart-viewer`;
+        
+        lines.push('BEGIN:VEVENT');
+        lines.push('UID:' + escapeIcsText(uid));
+        lines.push('DTSTAMP:' + stamp);
+        lines.push('DTSTART;VALUE=DATE:' + toIsoDate(start).replace(/-/g, ''));
+        lines.push('DTEND;VALUE=DATE:' + toIsoDate(end).replace(/-/g, ''));
+        lines.push('SUMMARY:' + escapeIcsText(task.taskName));
+        if (description) lines.push('DESCRIPTION:' + escapeIcsText(description));
+        if (task.status) lines.push('CATEGORIES:' + escapeIcsText(task.status));
+        lines.push('TRANSP:TRANSPARENT');
+        lines.push('END:VEVENT');
+    });
+    
+    lines.push('END:VCALENDAR');
+    
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// iCalendar lines are folded at 75 octets, continuing with a leading space
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    
+    return parts.join('\r\n ');
+}
+
+// MSPDI local date-time: work starts at 08:00 and ends at 17:00
+function formatMspdiDate(date, edge) {
+    return toIsoDate(date) + (edge === 'start' ? 'T08:00:00' : 'T17:00:00');
+}
+
+function escapeXml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Inner XML of every <tag>...</tag> element (not for tags that nest inside themselves)
+function getXmlElements(xml, tag) {
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+    return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+// Decoded text of the first <tag> element, or '' if missing
+function getXmlText(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXmlEntities(match[1].trim()) : '';
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// MSPDI dates are local date-times ("2026-10-01T08:00:00"); keep the calendar day
+function parseMspdiDate(value) {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+// MSPDI durations are ISO 8601 ("PT80H0M0S"); convert to 8-hour working days
+function parseMspdiDuration(value) {
+    const match = value.match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+    if (!match) return '';
+    
+    const minutes = (parseFloat(match[1]) || 0) * MSPDI_MINUTES_PER_DAY +
+        (parseFloat(match[2]) || 0) * 60 + (parseFloat(match[3]) || 0) + (parseFloat(match[4]) || 0) / 60;
+    return Math.round(minutes / MSPDI_MINUTES_PER_DAY);
+}
+
+function getHtmlContent() {
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>MS Project Style Gantt Chart Viewer</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        /* Ensure consistent rendering */
+        .task-panel *, .gantt-panel * {
+            box-sizing: border-box;
+        }
+        
+        /* Override any browser defaults */
+        .task-panel, .gantt-panel {
+            -webkit-font-smoothing: antialiased;
+            -moz-osx-font-smoothing: grayscale;
+        }
+        
+        /* Ensure panels align at the top */
+        #taskList {
+            padding: 0;
+            margin: 0;
+            display: block;
+        }
+        
+        #ganttRows {
+            padding: 0;
+            margin: 0;
+            display: block;
+            position: relative;
+        }
+        
+        /* Ensure consistent scrollbar rendering */
+        .task-panel::-webkit-scrollbar,
+        .gantt-panel::-webkit-scrollbar {
+            width: 12px;
+            height: 12px;
+        }
         
         .task-panel::-webkit-scrollbar-track,
         .gantt-panel::-webkit-scrollbar-track {
             background: #f1f1f1;
         }
         
-        .task-panel::-webkit-scrollbar-thumb,
-        .gantt-panel::-webkit-scrollbar-thumb {
-            background: #888;
-            border-radius: 6px;
+        .task-panel::-webkit-scrollbar-thumb,
+        .gantt-panel::-webkit-scrollbar-thumb {
+            background: #888;
+            border-radius: 6px;
+        }
+        
+        .task-panel::-webkit-scrollbar-thumb:hover,
+        .gantt-panel::-webkit-scrollbar-thumb:hover {
+            background: #555;
+        }
+        
+        /* Force identical row rendering */
+        .task-row:first-child, .gantt-row:first-child {
+            margin-top: 0 !important;
+        }
+        
+        .task-row:last-child, .gantt-row:last-child {
+            margin-bottom: 0 !important;
+        }
+        
+        /* Final alignment insurance */
+        #taskList, #ganttRows {
+            transform: translateZ(0); /* Force GPU rendering for consistency */
+            will-change: transform;
+        }
+        
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background: #f5f5f5;
+            overflow: hidden;
+        }
+        
+        /* File Upload Screen */
+        .upload-container {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            height: 100vh;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        }
+        
+        .upload-box {
+            background: white;
+            padding: 60px;
+            border-radius: 20px;
+            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+            text-align: center;
+            max-width: 600px;
+        }
+        
+        .upload-box h1 {
+            color: #333;
+            margin-bottom: 20px;
+            font-size: 32px;
+        }
+        
+        .upload-box p {
+            color: #666;
+            margin-bottom: 40px;
+            font-size: 16px;
+        }
+        
+        .file-input-wrapper {
+            position: relative;
+            overflow: hidden;
+            display: inline-block;
+        }
+        
+        .file-input-wrapper input[type=file] {
+            position: absolute;
+            left: -9999px;
+        }
+        
+        .file-input-label {
+            display: inline-block;
+            padding: 15px 40px;
+            background: #4472C4;
+            color: white;
+            border-radius: 30px;
+            cursor: pointer;
+            transition: all 0.3s;
+            font-size: 16px;
+            font-weight: 500;
+        }
+        
+        .file-input-label:hover {
+            background: #5582D4;
+            transform: translateY(-2px);
+            box-shadow: 0 5px 15px rgba(0,0,0,0.2);
+        }
+        
+        .file-input-label.loading {
+            background: #999;
+            cursor: not-allowed;
+        }
+        
+        .file-info {
+            margin-top: 20px;
+            color: #666;
+            font-size: 14px;
+        }
+        
+        .load-existing-btn {
+            margin-top: 30px;
+            padding: 12px 30px;
+            background: #28a745;
+            color: white;
+            border: none;
+            border-radius: 25px;
+            cursor: pointer;
+            font-size: 14px;
+            transition: all 0.3s;
+        }
+        
+        .load-existing-btn:hover {
+            background: #218838;
+            transform: translateY(-2px);
+        }
+        
+        /* Login */
+        .login-box {
+            display: flex;
+            gap: 10px;
+            justify-content: center;
+            align-items: center;
+            margin-bottom: 25px;
+        }
+        
+        .login-box input {
+            flex: 1;
+            padding: 11px 15px;
+            border: 1px solid #ddd;
+            border-radius: 25px;
+            font-size: 14px;
+            font-family: inherit;
+        }
+        
+        .login-btn {
+            padding: 11px 25px;
+            background: #4472C4;
+            color: white;
+            border: none;
+            border-radius: 25px;
+            cursor: pointer;
+            font-size: 14px;
+        }
+        
+        .login-btn:hover {
+            background: #5582D4;
+        }
+        
+        .session-info {
+            margin-bottom: 15px;
+            color: #888;
+            font-size: 12px;
+        }
+        
+        .session-info a {
+            color: #4472C4;
+            cursor: pointer;
+        }
+        
+        /* Schedule picker */
+        .schedule-picker {
+            margin-top: 30px;
+            display: flex;
+            gap: 10px;
+            justify-content: center;
+            align-items: center;
+        }
+        
+        .schedule-picker .load-existing-btn {
+            margin-top: 0;
+        }
+        
+        .schedule-select {
+            padding: 11px 15px;
+            border: 1px solid #ddd;
+            border-radius: 25px;
+            font-size: 14px;
+            font-family: inherit;
+            max-width: 280px;
+        }
+        
+        .new-schedule-btn {
+            margin-top: 12px;
+            background: none;
+            border: none;
+            color: #4472C4;
+            cursor: pointer;
+            font-size: 13px;
+            text-decoration: underline;
+        }
+        
+        .current-schedule {
+            margin-bottom: 25px;
+            color: #333;
+            font-size: 14px;
+        }
+        
+        .version-note {
+            display: block;
+            width: 100%;
+            margin-top: 20px;
+            padding: 10px 15px;
+            border: 1px solid #ddd;
+            border-radius: 20px;
+            font-size: 14px;
+            font-family: inherit;
+        }
+        
+        /* Version history */
+        .versions-panel {
+            margin-top: 25px;
+            text-align: left;
+            max-height: 220px;
+            overflow-y: auto;
+            border-top: 1px solid #eee;
+        }
+        
+        .versions-title {
+            font-weight: bold;
+            color: #333;
+            font-size: 14px;
+            margin: 10px 0;
+        }
+        
+        .version-item {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 10px;
+            padding: 6px 0;
+            border-bottom: 1px solid #f0f0f0;
+            font-size: 13px;
+            color: #555;
+        }
+        
+        .version-meta {
+            flex: 1;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        
+        .version-note-text {
+            color: #888;
+            font-style: italic;
+        }
+        
+        .version-open-btn {
+            padding: 4px 14px;
+            background: #4472C4;
+            color: white;
+            border: none;
+            border-radius: 12px;
+            cursor: pointer;
+            font-size: 12px;
+        }
+        
+        .version-open-btn:hover {
+            background: #5582D4;
+        }
+        
+        /* Main Container */
+        .container {
+            display: none;
+            flex-direction: column;
+            height: 100vh;
+            background: white;
+        }
+        
+        /* Header */
+        .header {
+            height: 50px;
+            background: linear-gradient(to bottom, #2c5aa0, #1e3c72);
+            color: white;
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            padding: 0 20px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+        }
+        
+        .header h1 {
+            font-size: 20px;
+            font-weight: 400;
+        }
+        
+        .header-buttons {
+            display: flex;
+            gap: 10px;
+        }
+        
+        .header-button {
+            padding: 8px 16px;
+            background: rgba(255,255,255,0.2);
+            border: none;
+            color: white;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 14px;
+            transition: background 0.2s;
+        }
+        
+        .header-button:hover {
+            background: rgba(255,255,255,0.3);
+        }
+        
+        .main-content {
+            display: flex;
+            flex: 1;
+            height: calc(100vh - 50px);
+            overflow: hidden;
+        }
+        
+        /* Task List Panel */
+        .task-panel {
+            width: 900px;
+            border-right: 2px solid #ddd;
+            overflow-y: auto;
+            overflow-x: hidden;
+            background: #fafafa;
+            flex-shrink: 0;
+        }
+        
+        .task-header {
+            display: flex;
+            background: #e0e0e0;
+            border-bottom: 2px solid #ccc;
+            position: sticky;
+            top: 0;
+            z-index: 10;
+            height: 40px;
+            box-sizing: border-box;
+        }
+        
+        .task-header > div {
+            padding: 10px;
+            border-right: 1px solid #ccc;
+            font-weight: bold;
+            font-size: 12px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            text-align: center;
+            box-sizing: border-box;
+            margin: 0;
+        }
+        
+        .col-wbs { width: 60px; }
+        .col-task-name { width: 280px; justify-content: flex-start; }
+        .col-duration { width: 60px; }
+        .col-start { width: 95px; }
+        .col-end { width: 95px; }
+        .col-remaining { width: 70px; }
+        .col-assigned { width: 120px; }
+        .col-status { width: 100px; }
+        .col-progress { width: 70px; }
+        
+        /* Task Rows - ensure exact same rendering */
+        .task-row, .gantt-row {
+            font-size: 12px;
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            -webkit-font-smoothing: antialiased;
+            -moz-osx-font-smoothing: grayscale;
+        }
+        
+        .task-row {
+            display: flex;
+            border-bottom: 1px solid #e0e0e0;
+            height: 27px;
+            box-sizing: content-box;
+            align-items: center;
+            cursor: pointer;
+            transition: background 0.2s;
+        }
+        
+        .task-row:hover {
+            background: #e8f4f8;
+        }
+        
+        .task-row.project {
+            background: #4472C4;
+            color: white;
+            font-weight: bold;
+            font-size: 12px;
+            height: 27px;
+        }
+        
+        .task-row.project:hover {
+            background: #5582D4;
+        }
+        
+        .task-row.collapsed {
+            display: none;
+        }
+        
+        .task-row > div {
+            padding: 0 8px;
+            border-right: 1px solid #e0e0e0;
+            font-size: 12px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            box-sizing: border-box;
+            margin: 0;
+            line-height: 27px;
+            height: 27px;
+        }
+        
+        .task-name {
+            width: 280px;
+            display: flex;
+            align-items: center;
+            margin: 0;
+            height: 27px;
+            overflow: hidden;
+        }
+        
+        .task-row.summary .task-name { font-weight: 600; }
+        
+        .expand-icon {
+            margin-right: 5px;
+            cursor: pointer;
+            user-select: none;
+            transition: transform 0.2s;
+            display: inline-flex;
+            align-items: center;
+            line-height: 27px;
+            font-size: 12px;
+        }
+        
+        .expand-icon.collapsed {
+            transform: rotate(-90deg);
+        }
+        
+        .task-wbs { width: 60px; font-size: 11px; color: #888; line-height: 27px; }
+        .task-row.project .task-wbs { color: white; }
+        .task-duration { width: 60px; text-align: center; line-height: 27px; }
+        .task-start { width: 95px; text-align: center; line-height: 27px; }
+        .task-end { width: 95px; text-align: center; line-height: 27px; }
+        .task-remaining { width: 70px; text-align: center; line-height: 27px; }
+        .task-assigned { 
+            width: 120px; 
+            text-align: center;
+            font-size: 11px;
+            color: #666;
+            line-height: 27px;
+        }
+        
+        .task-status {
+            width: 100px;
+            text-align: center;
+            font-size: 11px;
+            color: #666;
+            line-height: 27px;
+        }
+        
+        .task-progress {
+            width: 70px;
+            text-align: center;
+            font-size: 11px;
+            line-height: 27px;
+        }
+        
+        .task-row.project .task-assigned, .task-row.project .task-status {
+            color: white;
+        }
+        
+        .task-remaining.overdue {
+            color: #e74c3c;
+            font-weight: bold;
+        }
+        
+        .task-remaining.due-soon {
+            color: #f39c12;
+            font-weight: bold;
+        }
+        
+        /* Gantt Chart Panel */
+        .gantt-panel {
+            flex: 1;
+            overflow: auto;
+            position: relative;
+        }
+        
+        .gantt-container {
+            position: relative;
+            min-width: 1000px;
+            box-sizing: border-box;
+            padding: 0;
+            margin: 0;
+        }
+        
+        /* Timeline Header */
+        .timeline-header {
+            position: sticky;
+            top: 0;
+            background: #e0e0e0;
+            border-bottom: 2px solid #ccc;
+            z-index: 10;
+            height: 60px;
+            box-sizing: border-box;
+        }
+        
+        .month-row {
+            height: 30px;
+            display: flex;
+            border-bottom: 1px solid #ccc;
+        }
+        
+        .month-cell {
+            border-right: 1px solid #ccc;
+            text-align: center;
+            font-weight: bold;
+            font-size: 12px;
+            line-height: 30px;
+            background: #f0f0f0;
+        }
+        
+        .day-row {
+            height: 30px;
+            display: flex;
+        }
+        
+        .day-cell {
+            border-right: 1px solid #ddd;
+            text-align: center;
+            font-size: 10px;
+            line-height: 30px;
+            width: 30px;
+            flex-shrink: 0;
+        }
+        
+        .day-cell.weekend {
+            background: #f5f5f5;
+        }
+        
+        .day-cell.today {
+            background: #ffe6e6;
+            font-weight: bold;
+        }
+        
+        /* Gantt Bars */
+        .gantt-rows {
+            position: relative;
+            box-sizing: border-box;
+            background: transparent;
+        }
+        
+        /* SVG and grid lines should not affect row layout */
+        .dependency-container, .grid-lines, .today-line {
+            position: absolute !important;
+            top: 0;
+            left: 0;
+            pointer-events: none;
+        }
+        
+        /* Ensure gantt rows are properly stacked */
+        .gantt-row {
+            height: 27px;
+            box-sizing: content-box;
+            border-bottom: 1px solid #e0e0e0;
+            position: relative;
+            margin: 0;
+            padding: 0;
+        }
+        
+        .gantt-row.project {
+            background: rgba(68, 114, 196, 0.1);
+            height: 27px;
+        }
+        
+        .gantt-row.collapsed {
+            display: none;
+        }
+        
+        .gantt-bar {
+            position: absolute;
+            height: 19px;
+            top: 4px;
+            border-radius: 3px;
+            cursor: pointer;
+            transition: opacity 0.2s;
+            z-index: 2;
+            display: flex;
+            align-items: center;
+            padding: 0 4px;
+            font-size: 10px;
+            color: white;
+            overflow: hidden;
+            box-sizing: border-box;
+        }
+        
+        .gantt-bar:hover {
+            opacity: 0.8;
+            z-index: 3;
+        }
+        
+        .gantt-bar.project {
+            background: #4472C4;
+            height: 21px;
+            top: 3px;
+            font-weight: bold;
+        }
+        
+        .gantt-bar.task {
+            background: #70AD47;
+        }
+        
+        .gantt-bar.subtask {
+            background: #FFC000;
+            height: 16px;
+            top: 5px;
+        }
+        
+        .gantt-bar.overdue {
+            background: #e74c3c;
+        }
+        
+        .gantt-bar.due-soon {
+            background: #f39c12;
+        }
+        
+        .gantt-bar.no-dates {
+            background: #95a5a6;
+            border: 2px dashed #7f8c8d;
+        }
+        
+        /* Done part of a bar, under the bar's text */
+        .bar-progress {
+            position: absolute;
+            left: 0;
+            top: 0;
+            bottom: 0;
+            z-index: -1;
+            background: rgba(0, 0, 0, 0.28);
+            pointer-events: none;
+        }
+        
+        .progress-line {
+            stroke: #8e44ad;
+            stroke-width: 2;
+            fill: none;
+        }
+        
+        /* Summary rows: MS Project-style bracket over the roll-up dates */
+        .gantt-bar.summary,
+        #ganttRows.has-baseline .gantt-bar.summary,
+        #ganttRows.compare-mode .gantt-bar.summary {
+            top: 6px;
+            height: 7px;
+            padding: 0;
+            border: none;
+            border-radius: 0;
+            overflow: visible;
+            background: #2c3e50;
+        }
+        
+        .gantt-bar.summary.project {
+            background: #4472C4;
+        }
+        
+        .gantt-bar.summary::before,
+        .gantt-bar.summary::after {
+            content: '';
+            position: absolute;
+            top: 100%;
+            border-top: 6px solid #2c3e50;
+        }
+        
+        .gantt-bar.summary::before {
+            left: 0;
+            border-right: 6px solid transparent;
+        }
+        
+        .gantt-bar.summary::after {
+            right: 0;
+            border-left: 6px solid transparent;
+        }
+        
+        .gantt-bar.summary.project::before,
+        .gantt-bar.summary.project::after {
+            border-top-color: #4472C4;
+        }
+        
+        .task-start.rollup-mismatch,
+        .task-end.rollup-mismatch {
+            color: #d35400;
+            background: #fdf2e9;
+            text-decoration: underline dotted;
+            cursor: help;
+        }
+        
+        /* Today Line */
+        .today-line {
+            position: absolute;
+            top: 0;
+            bottom: 0;
+            width: 2px;
+            background: #e74c3c;
+            z-index: 5;
+            pointer-events: none;
+        }
+        
+        .today-label {
+            position: absolute;
+            top: -20px;
+            left: -20px;
+            background: #e74c3c;
+            color: white;
+            padding: 2px 8px;
+            font-size: 10px;
+            border-radius: 3px;
+            white-space: nowrap;
+        }
+        
+        /* Grid Lines */
+        .grid-lines {
+            position: absolute;
+            top: 0;
+            bottom: 0;
+            left: 0;
+            right: 0;
+            pointer-events: none;
+        }
+        
+        .grid-line {
+            position: absolute;
+            top: 0;
+            bottom: 0;
+            width: 1px;
+            background: #f0f0f0;
+        }
+        
+        .grid-line.week {
+            background: #e0e0e0;
+        }
+        
+        .grid-line.month {
+            background: #ccc;
+        }
+        
+        /* Dependency lines */
+        .dependency-container {
+            position: absolute;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            pointer-events: none;
+            z-index: 1;
+        }
+
+        .dependency-line {
+            stroke: #666;
+            stroke-width: 2;
+            fill: none;
+            marker-end: url(#arrowhead);
+            opacity: 0.6;
+        }
+        
+        .dependency-line:hover {
+            stroke: #333;
+            stroke-width: 3;
+            opacity: 1;
+        }
+        
+        /* Tooltip */
+        .tooltip {
+            position: absolute;
+            background: rgba(0, 0, 0, 0.9);
+            color: white;
+            padding: 12px 15px;
+            border-radius: 5px;
+            font-size: 12px;
+            pointer-events: none;
+            z-index: 1000;
+            display: none;
+            max-width: 350px;
+            box-shadow: 0 4px 8px rgba(0,0,0,0.3);
+        }
+        
+        .tooltip-title {
+            font-weight: bold;
+            margin-bottom: 8px;
+            font-size: 14px;
+            border-bottom: 1px solid rgba(255,255,255,0.3);
+            padding-bottom: 5px;
+        }
+        
+        .tooltip-row {
+            margin: 4px 0;
+            display: flex;
+            justify-content: space-between;
+            gap: 10px;
+        }
+        
+        .tooltip-label {
+            font-weight: 600;
+            color: #ccc;
+        }
+        
+        /* Loading */
+        .loading {
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: white;
+            padding: 30px 50px;
+            border-radius: 10px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            z-index: 2000;
+            text-align: center;
+        }
+        
+        .loading-spinner {
+            width: 40px;
+            height: 40px;
+            border: 4px solid #f3f3f3;
+            border-top: 4px solid #4472C4;
+            border-radius: 50%;
+            animation: spin 1s linear infinite;
+            margin: 0 auto 20px;
+        }
+        
+        @keyframes spin {
+            0% { transform: rotate(0deg); }
+            100% { transform: rotate(360deg); }
+        }
+        
+        /* Legend */
+        .legend {
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            background: white;
+            padding: 15px;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+            font-size: 12px;
+        }
+        
+        .legend-title {
+            font-weight: bold;
+            margin-bottom: 10px;
+        }
+        
+        .legend-item {
+            display: flex;
+            align-items: center;
+            margin: 5px 0;
+        }
+        
+        .legend-color {
+            width: 20px;
+            height: 14px;
+            margin-right: 8px;
+            border-radius: 3px;
+        }
+        
+        .error-message {
+            color: #e74c3c;
+            margin-top: 10px;
+            font-size: 14px;
+        }
+        
+        .problem-list {
+            margin: 10px 0 0;
+            padding-left: 20px;
+            text-align: left;
+            color: #e74c3c;
+            font-size: 13px;
+            max-height: 180px;
+            overflow-y: auto;
+        }
+        
+        .problem-list li {
+            margin: 3px 0;
+        }
+        
+        .success-message {
+            color: #28a745;
+            margin-top: 10px;
+            font-size: 14px;
+        }
+        
+        /* Optional task columns, shown by adding show-{name} to the task panel */
+        .task-panel .col-optional, .task-panel .task-optional {
+            display: none;
+        }
+        
+        .task-optional {
+            text-align: center;
+            line-height: 27px;
+            flex-shrink: 0;
+            box-sizing: border-box;
+        }
+        
+        .task-panel.show-delta .col-delta { display: flex; }
+        .task-panel.show-delta .task-delta { display: block; }
+        .task-panel.show-baseline-start .col-baseline-start { display: flex; }
+        .task-panel.show-baseline-start .task-baseline-start { display: block; }
+        .task-panel.show-baseline-end .col-baseline-end { display: flex; }
+        .task-panel.show-baseline-end .task-baseline-end { display: block; }
+        .task-panel.show-variance .col-variance { display: flex; }
+        .task-panel.show-variance .task-variance { display: block; }
+        .task-panel.show-float .col-float { display: flex; }
+        .task-panel.show-float .task-float { display: block; }
+        
+        /* Critical path */
+        .gantt-bar.critical {
+            background: #c0392b;
+            box-shadow: 0 0 0 1px #7b241c;
+        }
+        
+        .dependency-line.critical {
+            stroke: #c0392b;
+            opacity: 0.9;
+            marker-end: url(#arrowhead-critical);
+        }
+        
+        .task-float.critical { color: #c0392b; font-weight: bold; }
+        
+        .header-button.active {
+            background: rgba(255,255,255,0.45);
+        }
+        
+        /* Dependency check */
+        .header-button.has-issues {
+            background: #e67e22;
+        }
+        
+        .dependency-line.warning {
+            stroke: #e67e22;
+            stroke-dasharray: 5 3;
+            opacity: 0.9;
+            marker-end: url(#arrowhead-warning);
+        }
+        
+        .issues-panel {
+            position: fixed;
+            top: 60px;
+            right: 20px;
+            width: 380px;
+            max-height: 50vh;
+            overflow-y: auto;
+            background: white;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.25);
+            font-size: 12px;
+            z-index: 30;
+        }
+        
+        .issues-title {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            font-weight: bold;
+            padding: 10px 15px;
+            border-bottom: 1px solid #eee;
+        }
+        
+        .issues-title button {
+            background: none;
+            border: none;
+            font-size: 16px;
+            cursor: pointer;
+            color: #888;
+        }
+        
+        .issue-item {
+            padding: 8px 15px;
+            border-bottom: 1px solid #f0f0f0;
+            cursor: pointer;
+        }
+        
+        .issue-item:hover {
+            background: #fdf2e9;
+        }
+        
+        .issue-kind {
+            display: inline-block;
+            font-size: 10px;
+            font-weight: bold;
+            color: white;
+            background: #e67e22;
+            border-radius: 3px;
+            padding: 1px 5px;
+            margin-right: 6px;
+        }
+        
+        .issue-kind.cycle, .issue-kind.missing { background: #c0392b; }
+        .issue-kind.no-dates { background: #7f8c8d; }
+        
+        /* Editing */
+        .header-button.unsaved {
+            background: #27ae60;
+        }
+        
+        .gantt-bar.editable {
+            cursor: grab;
+        }
+        
+        .gantt-bar.dragging {
+            cursor: grabbing;
+            opacity: 0.6;
+            z-index: 4;
+        }
+        
+        .bar-handle {
+            position: absolute;
+            top: 0;
+            width: 6px;
+            height: 100%;
+            cursor: ew-resize;
+        }
+        
+        .bar-handle.start { left: 0; }
+        .bar-handle.end { right: 0; }
+        
+        .row-menu {
+            position: fixed;
+            background: white;
+            border-radius: 6px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.25);
+            padding: 4px 0;
+            z-index: 40;
+            min-width: 190px;
+        }
+        
+        .row-menu button {
+            display: flex;
+            justify-content: space-between;
+            gap: 20px;
+            width: 100%;
+            background: none;
+            border: none;
+            padding: 6px 14px;
+            font-size: 12px;
+            text-align: left;
+            cursor: pointer;
+        }
+        
+        .row-menu button:hover:not(:disabled) {
+            background: #e8f4f8;
+        }
+        
+        .row-menu button:disabled {
+            color: #bbb;
+            cursor: default;
+        }
+        
+        .row-menu .shortcut {
+            color: #999;
+        }
+        
+        .row-menu hr {
+            border: none;
+            border-top: 1px solid #eee;
+            margin: 4px 0;
+        }
+        
+        .cell-editor {
+            width: 100%;
+            height: 22px;
+            font-size: 12px;
+            box-sizing: border-box;
+        }
+        
+        /* Auto-scheduling review */
+        .task-row.rescheduled { box-shadow: inset 4px 0 0 #f39c12; }
+        .gantt-bar.rescheduled { outline: 2px dashed #f39c12; outline-offset: 1px; }
+        
+        .schedule-panel {
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            width: 380px;
+            max-height: 45vh;
+            display: flex;
+            flex-direction: column;
+            background: white;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.25);
+            font-size: 12px;
+            z-index: 30;
+        }
+        
+        .schedule-panel .issues-title {
+            flex-shrink: 0;
+        }
+        
+        .schedule-changes {
+            overflow-y: auto;
+        }
+        
+        .schedule-change .pinned-note {
+            color: #7f8c8d;
+            font-style: italic;
+        }
+        
+        /* Baselines */
+        .baseline-bar {
+            position: absolute;
+            top: 19px;
+            height: 6px;
+            background: #999;
+            border-radius: 2px;
+            z-index: 1;
+            pointer-events: none;
+        }
+        
+        #ganttRows.has-baseline .gantt-bar {
+            top: 2px;
+            height: 16px;
+        }
+        
+        #ganttRows.has-baseline.compare-mode .ghost-bar {
+            top: 18px;
+            height: 4px;
+        }
+        
+        #ganttRows.has-baseline.compare-mode .baseline-bar {
+            top: 23px;
+            height: 3px;
+        }
+        
+        .task-variance.late { color: #c0392b; font-weight: bold; }
+        .task-variance.early { color: #27ae60; }
+        
+        /* Compare mode */
+        .ghost-bar {
+            position: absolute;
+            top: 19px;
+            height: 6px;
+            background: rgba(120, 120, 120, 0.35);
+            border: 1px dashed #777;
+            border-radius: 2px;
+            box-sizing: border-box;
+            z-index: 1;
+            pointer-events: none;
+        }
+        
+        #ganttRows.compare-mode .gantt-bar {
+            top: 2px;
+            height: 16px;
+        }
+        
+        .gantt-bar.compare-slipped { box-shadow: 0 0 0 2px #c0392b; }
+        .gantt-bar.compare-pulled-in { box-shadow: 0 0 0 2px #27ae60; }
+        .gantt-bar.compare-added { outline: 2px dashed #2980b9; outline-offset: 1px; }
+        
+        .task-row.compare-slipped { box-shadow: inset 4px 0 0 #c0392b; }
+        .task-row.compare-pulled-in { box-shadow: inset 4px 0 0 #27ae60; }
+        .task-row.compare-added { box-shadow: inset 4px 0 0 #2980b9; }
+        
+        .task-delta.slipped { color: #c0392b; font-weight: bold; }
+        .task-delta.pulled-in { color: #27ae60; font-weight: bold; }
+        .task-delta.added { color: #2980b9; font-style: italic; }
+        
+        .compare-summary {
+            position: fixed;
+            bottom: 20px;
+            left: 20px;
+            background: white;
+            padding: 15px;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+            font-size: 12px;
+            max-width: 320px;
+            z-index: 20;
+        }
+        
+        .compare-summary ul {
+            margin: 5px 0;
+            padding-left: 18px;
+            max-height: 120px;
+            overflow-y: auto;
+        }
+        
+        .compare-summary .deleted-task {
+            color: #c0392b;
+            text-decoration: line-through;
+        }
+        
+        .compare-summary button {
+            margin-top: 8px;
+            padding: 5px 12px;
+            border: none;
+            border-radius: 4px;
+            background: #4472C4;
+            color: white;
+            cursor: pointer;
+        }
+        
+        /* Dialogs */
+        .modal-overlay {
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(0,0,0,0.4);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1500;
+        }
+        
+        .modal {
+            background: white;
+            padding: 25px 30px;
+            border-radius: 10px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            min-width: 360px;
+            font-size: 14px;
+        }
+        
+        .modal-title {
+            font-size: 18px;
+            font-weight: bold;
+            color: #333;
+            margin-bottom: 15px;
+        }
+        
+        .modal-row {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 15px;
+            margin: 10px 0;
+        }
+        
+        .modal-row input, .modal-row select {
+            padding: 6px 8px;
+            border: 1px solid #ccc;
+            border-radius: 4px;
+            font-size: 14px;
+        }
+        
+        .modal-actions {
+            display: flex;
+            justify-content: flex-end;
+            gap: 10px;
+            margin-top: 20px;
+        }
+        
+        .modal-actions button {
+            padding: 8px 18px;
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 14px;
+            background: #e0e0e0;
+        }
+        
+        .modal-actions button.primary {
+            background: #4472C4;
+            color: white;
+        }
+        
+        /* Print layout: one .print-page per sheet of paper */
+        #printArea {
+            display: none;
+        }
+        
+        .print-page {
+            position: relative;
+            overflow: hidden;
+            background: white;
+            font-family: Arial, sans-serif;
+            display: flex;
+            flex-direction: column;
+            break-after: page;
+            page-break-after: always;
+            -webkit-print-color-adjust: exact;
+            print-color-adjust: exact;
+        }
+        
+        .print-page:last-child {
+            break-after: auto;
+            page-break-after: auto;
+        }
+        
+        .print-title {
+            display: flex;
+            justify-content: space-between;
+            align-items: flex-end;
+            border-bottom: 2px solid #4472C4;
+            padding-bottom: 4px;
+            margin-bottom: 6px;
+            flex-shrink: 0;
+        }
+        
+        .print-title h2 {
+            margin: 0;
+            font-size: 16px;
+            color: #333;
+        }
+        
+        .print-title-info {
+            font-size: 10px;
+            color: #666;
+            text-align: right;
+        }
+        
+        .print-body {
+            display: flex;
+            flex: 1;
+            overflow: hidden;
+            border: 1px solid #ccc;
+        }
+        
+        .print-names {
+            flex-shrink: 0;
+            border-right: 2px solid #ccc;
+            overflow: hidden;
+        }
+        
+        .print-names-header {
+            height: 60px;
+            box-sizing: border-box;
+            background: #e0e0e0;
+            border-bottom: 2px solid #ccc;
+            font-weight: bold;
+            font-size: 12px;
+            display: flex;
+            align-items: flex-end;
+            padding-bottom: 8px;
+        }
+        
+        .print-name-row {
+            display: flex;
+            height: 27px;
+            border-bottom: 1px solid #e0e0e0;
+            font-size: 11px;
+            line-height: 27px;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
         }
         
-        .task-panel::-webkit-scrollbar-thumb:hover,
-        .gantt-panel::-webkit-scrollbar-thumb:hover {
-            background: #555;
+        .print-name-row.project {
+            background: #4472C4;
+            color: white;
+            font-weight: bold;
+        }
+        
+        .print-name-row > div, .print-names-header > div {
+            overflow: hidden;
+            text-overflow: ellipsis;
+            flex-shrink: 0;
+            box-sizing: border-box;
+            padding: 0 5px;
+        }
+        
+        .print-chart .month-cell {
+            box-sizing: border-box;
+            overflow: hidden;
+            white-space: nowrap;
+        }
+        
+        .print-chart {
+            position: relative;
+            overflow: hidden;
+            flex: 1;
+        }
+        
+        .print-chart .timeline-header {
+            position: relative;
+        }
+        
+        .print-row {
+            position: relative;
+            height: 27px;
+            border-bottom: 1px solid #f0f0f0;
+        }
+        
+        .print-row .gantt-bar {
+            cursor: default;
+        }
+        
+        .print-legend {
+            display: flex;
+            gap: 15px;
+            font-size: 10px;
+            padding-top: 6px;
+            flex-shrink: 0;
+        }
+        
+        .print-legend .legend-title {
+            margin-bottom: 0;
+        }
+        
+        .print-legend .legend-item {
+            margin: 0;
+        }
+        
+        @media print {
+            html, body {
+                height: auto;
+                overflow: visible;
+                background: white;
+            }
+            
+            body.printing > *:not(#printArea) {
+                display: none !important;
+            }
+            
+            body.printing #printArea {
+                display: block;
+            }
+        }
+    </style>
+    <style id="printPageStyle"></style>
+    <script src="https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js"></script>
+</head>
+<body>
+    <!-- File Upload Screen -->
+    <div class="upload-container" id="uploadContainer">
+        <div class="upload-box">
+            <h1>📊 MS Project Style Gantt Chart</h1>
+            <p>Cargue su archivo Excel de Proyectos Abiertos para visualizarlo como un diagrama de Gantt interactivo</p>
+            
+            <div class="login-box" id="loginBox" style="display: none;">
+                <input type="password" id="authTokenInput" placeholder="Clave de acceso o token" onkeydown="if (event.key === 'Enter') login()" />
+                <button class="login-btn" onclick="login()">Entrar</button>
+            </div>
+            
+            <div class="session-info" id="sessionInfo"></div>
+            
+            <div class="current-schedule">Cronograma: <strong id="currentScheduleName"></strong></div>
+            
+            <div id="uploadControls">
+                <div class="file-input-wrapper">
+                    <input type="file" id="fileInput" accept=".xlsx,.xls,.xml" />
+                    <label for="fileInput" class="file-input-label" id="fileInputLabel">
+                        Seleccionar Archivo Excel
+                    </label>
+                </div>
+                
+                <div class="file-info">
+                    Formatos soportados: .xlsx, .xls, .xml (MS Project)
+                </div>
+                
+                <input type="text" class="version-note" id="versionNote" placeholder="Nota de la versión (opcional)" maxlength="200" />
+            </div>
+            
+            <div class="schedule-picker">
+                <select class="schedule-select" id="scheduleSelect"></select>
+                <button class="load-existing-btn" id="loadExistingBtn" onclick="openSelectedSchedule()">
+                    Abrir Cronograma
+                </button>
+            </div>
+            
+            <button class="new-schedule-btn" onclick="createSchedule()">+ Nuevo cronograma</button>
+            
+            <div id="uploadMessage"></div>
+            
+            <div class="versions-panel" id="versionsPanel" style="display: none;">
+                <div class="versions-title">Versiones anteriores</div>
+                <div id="versionsList"></div>
+            </div>
+        </div>
+    </div>
+    
+    <!-- Main Container -->
+    <div class="container" id="container">
+        <div class="header">
+            <h1>📊 Diagrama de Gantt - <span id="projectTitle">Proyectos Abiertos</span></h1>
+            <div class="header-buttons">
+                <button class="header-button" onclick="expandAll()">Expandir Todo</button>
+                <button class="header-button" onclick="collapseAll()">Colapsar Todo</button>
+                <button class="header-button" onclick="resetView()">Vista Inicial</button>
+                <button class="header-button" onclick="exportMsProjectXml()">Exportar a MS Project</button>
+                <button class="header-button" onclick="showCalendarFeed()">Calendario</button>
+                <button class="header-button" onclick="showPrintDialog()">Imprimir / PDF</button>
+                <button class="header-button" onclick="showImageDialog()">Exportar imagen</button>
+                <button class="header-button" onclick="showCompareDialog()">Comparar</button>
+                <button class="header-button" onclick="showBaselineDialog()">Línea base</button>
+                <button class="header-button" id="criticalPathButton" onclick="toggleCriticalPath()">Ruta Crítica</button>
+                <button class="header-button" id="progressLineButton" onclick="toggleProgressLine()">Línea de progreso</button>
+                <button class="header-button" id="issuesButton" onclick="toggleIssuesPanel()">Dependencias</button>
+                <button class="header-button" onclick="showScheduleDialog()">Reprogramar</button>
+                <button class="header-button" id="saveButton" onclick="saveChanges()" style="display: none;">Guardar</button>
+                <button class="header-button" onclick="loadNewFile()">Cargar Otro Archivo</button>
+            </div>
+        </div>
+        
+        <div class="main-content">
+            <div class="task-panel" id="taskPanel">
+                <div class="task-header">
+                    <div class="col-wbs">EDT</div>
+                    <div class="col-task-name">Nombre de Tarea</div>
+                    <div class="col-duration">Días</div>
+                    <div class="col-start">Inicio</div>
+                    <div class="col-end">Fin</div>
+                    <div class="col-remaining">Restante</div>
+                    <div class="col-assigned">Asignado a</div>
+                    <div class="col-status">Estado</div>
+                    <div class="col-progress" title="Porcentaje completado">% Compl.</div>
+                    <div class="col-delta col-optional" style="width: 60px;" title="Días de desplazamiento de la fecha de fin">Δ Fin</div>
+                    <div class="col-baseline-start col-optional" style="width: 95px;">Inicio LB</div>
+                    <div class="col-baseline-end col-optional" style="width: 95px;">Fin LB</div>
+                    <div class="col-variance col-optional" style="width: 70px;" title="Días de variación de la fecha de fin contra la línea base">Var. Fin</div>
+                    <div class="col-float col-optional" style="width: 70px;" title="Holgura total en días">Holgura</div>
+                </div>
+                <div id="taskList"></div>
+            </div>
+            
+            <div class="gantt-panel" id="ganttPanel">
+                <div class="gantt-container" id="ganttContainer">
+                    <div class="timeline-header" id="timelineHeader"></div>
+                    <div class="gantt-rows" id="ganttRows">
+                        <div class="grid-lines" id="gridLines"></div>
+                        <div class="today-line" id="todayLine">
+                            <div class="today-label">HOY</div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+        
+        <!-- Legend -->
+        <div class="legend">
+            <div class="legend-title">Leyenda</div>
+            <div class="legend-item">
+                <div class="legend-color" style="background: #4472C4;"></div>
+                <span>Proyecto</span>
+            </div>
+            <div class="legend-item">
+                <div class="legend-color" style="background: #70AD47;"></div>
+                <span>Tarea</span>
+            </div>
+            <div class="legend-item">
+                <div class="legend-color" style="background: #FFC000;"></div>
+                <span>Subtarea</span>
+            </div>
+            <div class="legend-item">
+                <div class="legend-color" style="background: #2c3e50; height: 5px;"></div>
+                <span>Resumen</span>
+            </div>
+            <div class="legend-item">
+                <div class="legend-color" style="background: #fdf2e9; border: 1px solid #d35400;"></div>
+                <span>Fechas distintas a las calculadas</span>
+            </div>
+            <div class="legend-item">
+                <div class="legend-color" style="background: #e74c3c;"></div>
+                <span>Vencida</span>
+            </div>
+            <div class="legend-item">
+                <div class="legend-color" style="background: #f39c12;"></div>
+                <span>Próxima a vencer</span>
+            </div>
+            <div class="legend-item legend-critical" style="display: none;">
+                <div class="legend-color" style="background: #c0392b;"></div>
+                <span>Ruta crítica</span>
+            </div>
+            <div class="legend-item legend-progress" style="display: none;">
+                <div class="legend-color" style="background: #8e44ad; height: 3px;"></div>
+                <span>Línea de progreso</span>
+            </div>
+            <div class="legend-item legend-dependencies">
+                <div class="legend-color" style="background: #666;"></div>
+                <span>→ Dependencias</span>
+            </div>
+        </div>
+    </div>
+    
+    <!-- Loading Screen -->
+    <div class="loading" id="loading" style="display: none;">
+        <div class="loading-spinner"></div>
+        <div>Procesando archivo Excel...</div>
+    </div>
+    
+    <!-- Tooltip -->
+    <div class="tooltip" id="tooltip"></div>
+    
+    <!-- Print Dialog -->
+    <div class="modal-overlay" id="printDialog" style="display: none;">
+        <div class="modal">
+            <div class="modal-title">Imprimir / Exportar a PDF</div>
+            <div class="modal-row">
+                <label for="printFrom">Desde</label>
+                <input type="date" id="printFrom" />
+            </div>
+            <div class="modal-row">
+                <label for="printTo">Hasta</label>
+                <input type="date" id="printTo" />
+            </div>
+            <div class="modal-row">
+                <label for="printPaper">Papel</label>
+                <select id="printPaper">
+                    <option value="A4">A4</option>
+                    <option value="A3">A3</option>
+                    <option value="Letter">Carta</option>
+                    <option value="Legal">Oficio</option>
+                </select>
+            </div>
+            <div class="modal-row">
+                <label for="printOrientation">Orientación</label>
+                <select id="printOrientation">
+                    <option value="landscape">Horizontal</option>
+                    <option value="portrait">Vertical</option>
+                </select>
+            </div>
+            <div class="modal-row">
+                <label for="printScale">Escala</label>
+                <select id="printScale">
+                    <option value="12">Compacta</option>
+                    <option value="20" selected>Normal</option>
+                    <option value="30">Amplia</option>
+                </select>
+            </div>
+            <div class="modal-actions">
+                <button onclick="closePrintDialog()">Cancelar</button>
+                <button class="primary" onclick="printGantt()">Imprimir</button>
+            </div>
+        </div>
+    </div>
+    
+    <!-- Image Export Dialog -->
+    <div class="modal-overlay" id="imageDialog" style="display: none;">
+        <div class="modal">
+            <div class="modal-title">Exportar imagen</div>
+            <div class="modal-row">
+                <label for="imageFormat">Formato</label>
+                <select id="imageFormat">
+                    <option value="svg">SVG</option>
+                    <option value="png">PNG</option>
+                </select>
+            </div>
+            <div class="modal-row">
+                <label for="imageRange">Fechas</label>
+                <select id="imageRange">
+                    <option value="all">Todo el cronograma</option>
+                    <option value="visible">Área visible</option>
+                </select>
+            </div>
+            <div class="modal-row">
+                <label for="imageScale">Resolución PNG</label>
+                <select id="imageScale">
+                    <option value="1">1x</option>
+                    <option value="2" selected>2x</option>
+                    <option value="3">3x</option>
+                </select>
+            </div>
+            <div class="modal-actions">
+                <button onclick="closeImageDialog()">Cancelar</button>
+                <button class="primary" onclick="exportImage()">Exportar</button>
+            </div>
+        </div>
+    </div>
+    
+    <!-- Compare Dialog -->
+    <div class="modal-overlay" id="compareDialog" style="display: none;">
+        <div class="modal">
+            <div class="modal-title">Comparar versiones</div>
+            <div class="modal-row">
+                <label for="compareTarget">Versión nueva</label>
+                <select id="compareTarget"></select>
+            </div>
+            <div class="modal-row">
+                <label for="compareBase">Comparar con</label>
+                <select id="compareBase" onchange="document.getElementById('compareFileRow').style.display = this.value === 'file' ? 'flex' : 'none'"></select>
+            </div>
+            <div class="modal-row" id="compareFileRow" style="display: none;">
+                <label for="compareFile">Archivo</label>
+                <input type="file" id="compareFile" accept=".xlsx,.xls" />
+            </div>
+            <div class="modal-actions">
+                <button onclick="closeCompareDialog()">Cancelar</button>
+                <button class="primary" onclick="startCompare()">Comparar</button>
+            </div>
+        </div>
+    </div>
+    
+    <!-- Baseline Dialog -->
+    <div class="modal-overlay" id="baselineDialog" style="display: none;">
+        <div class="modal">
+            <div class="modal-title">Línea base</div>
+            <div id="baselineInfo"></div>
+            <div class="modal-row">
+                <label for="baselineColumns">Mostrar columnas de línea base</label>
+                <input type="checkbox" id="baselineColumns" onchange="setBaselineColumnsVisible(this.checked)" />
+            </div>
+            <div class="modal-actions">
+                <button onclick="closeBaselineDialog()">Cerrar</button>
+                <button class="primary" onclick="freezeBaseline()">Guardar versión actual como línea base</button>
+            </div>
+        </div>
+    </div>
+    
+    <datalist id="statusOptions"></datalist>
+    
+    <!-- Row Menu (right-click on a task) -->
+    <div class="row-menu" id="rowMenu" style="display: none;"></div>
+    
+    <!-- Reschedule Dialog -->
+    <div class="modal-overlay" id="scheduleDialog" style="display: none;">
+        <div class="modal">
+            <div class="modal-title">Reprogramar tarea</div>
+            <div class="modal-row">
+                <label for="scheduleTask">Tarea</label>
+                <select id="scheduleTask" onchange="fillScheduleDates()"></select>
+            </div>
+            <div class="modal-row">
+                <label for="scheduleStart">Inicio</label>
+                <input type="date" id="scheduleStart" />
+            </div>
+            <div class="modal-row">
+                <label for="scheduleEnd">Fin</label>
+                <input type="date" id="scheduleEnd" />
+            </div>
+            <div>Las sucesoras se moverán según sus dependencias; las tareas fijadas (columna Pinned) conservan sus fechas.</div>
+            <div class="modal-actions">
+                <button onclick="closeScheduleDialog()">Cancelar</button>
+                <button class="primary" onclick="applyScheduleDialog()">Reprogramar</button>
+            </div>
+        </div>
+    </div>
+    
+    <!-- Auto-scheduling Review -->
+    <div class="schedule-panel" id="schedulePanel" style="display: none;"></div>
+    
+    <!-- Dependency Check -->
+    <div class="issues-panel" id="issuesPanel" style="display: none;"></div>
+    
+    <!-- Compare Summary -->
+    <div class="compare-summary" id="compareSummary" style="display: none;"></div>
+    
+    <!-- Print Pages (only shown when printing) -->
+    <div id="printArea"></div>
+    
+    <script>
+        // Global variables
+        let ganttData = [];
+        let minDate, maxDate;
+        let dayWidth = 30;
+        const rowHeight = 28; // Must match CSS: 27px height + 1px border = 28px total
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        let expandedStates = {}; // Task ID -> false when the row's children are collapsed (expanded by default)
+        let currentVersion = null; // Version shown (null = latest upload)
+        let currentSession = null; // { authEnabled, role } from /session
+        let loadedWorkbook = null; // ArrayBuffer of the workbook shown (null when tasks came from /api/tasks)
+        let savedFields = new Map(); // task -> editable fields as last loaded or saved
+        let savedOrder = []; // Tasks in the order of the sheet rows as last loaded or saved
+        
+        // Get API endpoint from current URL
+        const API_ENDPOINT = window.location.origin + window.location.pathname.replace(/\\/$/, '');
+        
+        // Schedule scoping: pages under /s/{name}/ work on that schedule
+        const SCHEDULE_MATCH = window.location.pathname.match(/\\/s\\/([^/]+)\\/?$/);
+        const SCHEDULE_NAME = SCHEDULE_MATCH ? decodeURIComponent(SCHEDULE_MATCH[1]) : 'default';
+        const APP_ROOT = API_ENDPOINT.replace(/\\/s\\/[^/]+$/, '');
+        
+        // Load parsed tasks from /api/tasks instead of parsing the workbook in the browser (?source=api)
+        const LOAD_FROM_API = new URLSearchParams(window.location.search).get('source') === 'api';
+        
+        // API key or bearer token entered in the login prompt
+        const AUTH_STORAGE_KEY = 'ganttAuthToken';
+        
+        // Baseline frozen on the server ({ name, version, savedAt, dates: Map of id -> { start, end } })
+        let savedBaseline = null;
+        
+        // One dependency in MS Project notation (DEPENDENCY_LINK_PATTERN on the server) and the bar edges each link type connects
+        const DEPENDENCY_LINK_PATTERN = ${DEPENDENCY_LINK_PATTERN};
+        const LINK_EDGES = {
+            FS: ['finish', 'start'],
+            SS: ['start', 'start'],
+            FF: ['finish', 'finish'],
+            SF: ['start', 'finish']
+        };
+        
+        // Task fields that can be changed in the viewer and the sheet columns they are saved to
+        const EDITABLE_COLUMNS = {
+            level: 'Level',
+            id: 'ID',
+            type: 'Type',
+            dependencies: 'Dependencies',
+            taskName: 'Task Name',
+            startDate: 'Start Date',
+            endDate: 'End Date',
+            dias: 'Días',
+            restante: 'Restante',
+            assignedTo: 'Assigned To',
+            status: 'Status'
+        };
+        // Columns usually computed in the sheet: their formulas are kept and only the cached value changes
+        const DERIVED_COLUMNS = ['dias', 'restante'];
+        const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        
+        // Sheet header of each task field (TASK_COLUMNS on the server)
+        const TASK_COLUMNS = ${JSON.stringify(TASK_COLUMNS).replace(/</g, '\\u003c')};
+        
+        // % complete by lower-cased status for rows without a "% Complete" value (STATUS_PROGRESS on the server)
+        const STATUS_PROGRESS = ${JSON.stringify(STATUS_PROGRESS).replace(/</g, '\\u003c')};
+        
+        // Row last clicked in the task list (preselected when rescheduling)
+        let selectedTaskIndex = null;
+        
+        // Auto-scheduling changes awaiting review: Map of task -> its fields before the first change
+        let pendingSchedule = null;
+        
+        // Problems found by checkDependencies and the links to draw in warning style ("from>to" keys)
+        let dependencyIssues = [];
+        let warningLinks = new Set();
+        
+        // Paint the critical path (toggled from the header)
+        let showCriticalPath = false;
+        
+        // Draw the progress line at today's date (toggled from the header)
+        let showProgressLine = false;
+        
+        // Compare mode: tasks of the older schedule matched to the shown ones by ID (null when off)
+        let compareState = null;
+        
+        // Extra task panel columns; visible ones are listed in visibleColumns
+        const BASE_TASK_PANEL_WIDTH = 900;
+        const OPTIONAL_COLUMNS = [
+            { name: 'delta', width: 60, render: renderDeltaCell },
+            { name: 'baseline-start', width: 95, render: (task, cell) => { cell.textContent = formatDate(getTaskBaseline(task)?.start); } },
+            { name: 'baseline-end', width: 95, render: (task, cell) => { cell.textContent = formatDate(getTaskBaseline(task)?.end); } },
+            { name: 'variance', width: 70, render: renderVarianceCell },
+            { name: 'float', width: 70, render: renderFloatCell }
+        ];
+        const visibleColumns = new Set();
+        
+        // Paper sizes in millimetres (portrait) and layout of printed pages
+        const PAPER_SIZES = {
+            A4: { width: 210, height: 297 },
+            A3: { width: 297, height: 420 },
+            Letter: { width: 215.9, height: 279.4 },
+            Legal: { width: 215.9, height: 355.6 }
+        };
+        const PRINT_MARGIN_MM = 10;
+        const PRINT_NAME_WIDTH = 200;
+        const PRINT_DATE_WIDTH = 62;
+        const PX_PER_MM = 96 / 25.4;
+        
+        // Bar shapes and colors used when drawing the chart as an image (mirror the .gantt-bar CSS)
+        const IMAGE_BAR_SHAPES = {
+            project: { top: 3, height: 21, fill: '#4472C4' },
+            task: { top: 4, height: 19, fill: '#70AD47' },
+            subtask: { top: 5, height: 16, fill: '#FFC000' }
+        };
+        const IMAGE_STATUS_FILLS = { overdue: '#e74c3c', 'due-soon': '#f39c12', 'no-dates': '#95a5a6' };
+        const IMAGE_SUMMARY_FILLS = { project: '#4472C4', task: '#2c3e50' };
+        const IMAGE_NAME_WIDTH = 250;
+        const IMAGE_TITLE_HEIGHT = 40;
+        const IMAGE_HEADER_HEIGHT = 60;
+        
+        // File input handler
+        document.getElementById('fileInput').addEventListener('change', function(event) {
+            const file = event.target.files[0];
+            if (file) {
+                uploadFile(file);
+            }
+        });
+        
+        // fetch() against the Lambda with the stored credentials
+        async function authFetch(url, options = {}) {
+            const token = localStorage.getItem(AUTH_STORAGE_KEY);
+            const headers = { ...(options.headers || {}) };
+            
+            if (token) {
+                headers['Authorization'] = 'Bearer ' + token;
+            }
+            
+            const response = await fetch(url, { ...options, headers });
+            
+            if (response.status === 401) {
+                showLoginPrompt();
+            }
+            
+            return response;
+        }
+        
+        // Ask the Lambda whether auth is enabled and which role we have
+        async function checkSession() {
+            const response = await authFetch(API_ENDPOINT + '/session');
+            const session = await response.json();
+            currentSession = session;
+            
+            const sessionInfo = document.getElementById('sessionInfo');
+            sessionInfo.innerHTML = '';
+            
+            if (session.authEnabled && !session.role) {
+                showLoginPrompt();
+            } else {
+                document.getElementById('loginBox').style.display = 'none';
+                
+                if (session.authEnabled) {
+                    sessionInfo.textContent = 'Acceso: ' + (session.role === 'editor' ? 'edición' : 'solo lectura') + ' · ';
+                    const logoutLink = document.createElement('a');
+                    logoutLink.textContent = 'Cerrar sesión';
+                    logoutLink.onclick = logout;
+                    sessionInfo.appendChild(logoutLink);
+                }
+            }
+            
+            // Only editors can upload
+            document.getElementById('uploadControls').style.display = session.role === 'editor' ? 'block' : 'none';
+            
+            return session;
         }
         
-        /* Force identical row rendering */
-        .task-row:first-child, .gantt-row:first-child {
-            margin-top: 0 !important;
+        // Show the login prompt
+        function showLoginPrompt() {
+            document.getElementById('loginBox').style.display = 'flex';
+            document.getElementById('uploadControls').style.display = 'none';
         }
         
-        .task-row:last-child, .gantt-row:last-child {
-            margin-bottom: 0 !important;
+        // Store the entered key or token and retry
+        async function login() {
+            const input = document.getElementById('authTokenInput');
+            const token = input.value.trim();
+            if (!token) return;
+            
+            localStorage.setItem(AUTH_STORAGE_KEY, token);
+            input.value = '';
+            
+            const session = await checkSession();
+            if (session.role) {
+                document.getElementById('uploadMessage').innerHTML = '';
+                loadSchedules();
+                loadVersions();
+            } else {
+                localStorage.removeItem(AUTH_STORAGE_KEY);
+                document.getElementById('uploadMessage').innerHTML =
+                    '<div class="error-message">Clave de acceso o token inválido</div>';
+            }
         }
         
-        /* Final alignment insurance */
-        #taskList, #ganttRows {
-            transform: translateZ(0); /* Force GPU rendering for consistency */
-            will-change: transform;
+        // Forget the stored credentials
+        function logout() {
+            localStorage.removeItem(AUTH_STORAGE_KEY);
+            window.location.reload();
         }
         
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            background: #f5f5f5;
-            overflow: hidden;
+        // Upload file to Lambda
+        async function uploadFile(file) {
+            const label = document.getElementById('fileInputLabel');
+            const message = document.getElementById('uploadMessage');
+            
+            label.textContent = 'Subiendo archivo...';
+            label.classList.add('loading');
+            message.innerHTML = '';
+            
+            try {
+                await sendFile(file, document.getElementById('versionNote').value.trim(), text => {
+                    label.textContent = text;
+                });
+                
+                message.innerHTML = '<div class="success-message">Archivo subido exitosamente!</div>';
+                document.getElementById('versionNote').value = '';
+                setTimeout(() => {
+                    loadExistingFile();
+                }, 1000);
+                
+            } catch (error) {
+                console.error('Upload error:', error);
+                if (error.problems && error.problems.length > 0) {
+                    renderUploadProblems(error.problems);
+                } else {
+                    message.innerHTML = '<div class="error-message">Error: ' + error.message + '</div>';
+                }
+                label.textContent = 'Seleccionar Archivo Excel';
+                label.classList.remove('loading');
+            }
         }
         
-        /* File Upload Screen */
-        .upload-container {
-            display: flex;
-            flex-direction: column;
-            align-items: center;
-            justify-content: center;
-            height: 100vh;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        // Store a file as a new version: signed URL, PUT straight to storage, then confirm.
+        // Rejected files throw an error carrying the validation problems.
+        async function sendFile(file, note, onStatus) {
+            // Ask the Lambda where to put the file
+            const urlResponse = await authFetch(API_ENDPOINT + '/upload-url', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    fileName: file.name,
+                    size: file.size
+                })
+            });
+            
+            const upload = await urlResponse.json();
+            
+            if (!urlResponse.ok) {
+                const error = new Error(upload.error || 'Error al subir archivo');
+                error.problems = upload.problems;
+                throw error;
+            }
+            
+            // Send the file straight to storage, reporting progress
+            await putFileWithProgress(upload, file, percent => {
+                onStatus('Subiendo archivo... ' + percent + '%');
+            });
+            
+            // Let the Lambda validate and store it as a new version
+            onStatus('Procesando archivo...');
+            const response = await authFetch(API_ENDPOINT + '/upload/confirm', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    uploadId: upload.uploadId,
+                    fileName: file.name,
+                    note
+                })
+            });
+            
+            const result = await response.json();
+            
+            if (!response.ok || !result.success) {
+                const error = new Error(result.error || 'Error al subir archivo');
+                error.problems = result.problems;
+                throw error;
+            }
+            
+            return result;
         }
         
-        .upload-box {
-            background: white;
-            padding: 60px;
-            border-radius: 20px;
-            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-            text-align: center;
-            max-width: 600px;
+        // PUT a file to a signed upload URL (XMLHttpRequest, since fetch has no upload progress)
+        function putFileWithProgress(upload, file, onProgress) {
+            return new Promise((resolve, reject) => {
+                const xhr = new XMLHttpRequest();
+                xhr.open(upload.method || 'PUT', upload.url);
+                
+                Object.entries(upload.headers || {}).forEach(([name, value]) => {
+                    xhr.setRequestHeader(name, value);
+                });
+                
+                xhr.upload.onprogress = (e) => {
+                    if (e.lengthComputable) {
+                        onProgress(Math.round((e.loaded / e.total) * 100));
+                    }
+                };
+                
+                xhr.onload = () => {
+                    if (xhr.status >= 200 && xhr.status < 300) {
+                        resolve();
+                    } else {
+                        reject(new Error('Error al subir archivo (' + xhr.status + ')'));
+                    }
+                };
+                xhr.onerror = () => reject(new Error('Error de red al subir archivo'));
+                
+                xhr.send(file);
+            });
         }
         
-        .upload-box h1 {
-            color: #333;
-            margin-bottom: 20px;
-            font-size: 32px;
+        // Show the validation problems returned for a rejected upload
+        function renderUploadProblems(problems) {
+            const message = document.getElementById('uploadMessage');
+            message.innerHTML = '<div class="error-message">El archivo no se cargó porque tiene los siguientes problemas:</div>';
+            
+            const list = document.createElement('ul');
+            list.className = 'problem-list';
+            
+            problems.forEach(problem => {
+                const item = document.createElement('li');
+                item.textContent = (problem.row ? 'Fila ' + problem.row + ': ' : '') + describeProblem(problem);
+                list.appendChild(item);
+            });
+            
+            message.appendChild(list);
         }
         
-        .upload-box p {
-            color: #666;
-            margin-bottom: 40px;
-            font-size: 16px;
+        // Spanish text for a validation problem
+        function describeProblem(problem) {
+            switch (problem.code) {
+                case 'empty_file': return 'El archivo está vacío';
+                case 'file_too_large': return 'El archivo es demasiado grande (' + formatFileSize(problem.value) + ')';
+                case 'invalid_signature': return 'El archivo no es un libro de Excel (.xlsx o .xls)';
+                case 'unreadable_workbook': return 'No se pudo leer el libro de Excel';
+                case 'no_sheet': return 'El libro no tiene ninguna hoja legible';
+                case 'missing_header': return 'Falta la columna "' + problem.column + '"';
+                case 'duplicate_id': return 'El ID ' + problem.value + ' está repetido';
+                case 'invalid_date': return '"' + problem.value + '" no es una fecha válida en la columna ' + problem.column;
+                case 'no_tasks': return 'La hoja no tiene tareas';
+                case 'invalid_mspdi': return 'No se pudo leer el archivo XML de MS Project';
+                default: return problem.message;
+            }
         }
         
-        .file-input-wrapper {
-            position: relative;
-            overflow: hidden;
-            display: inline-block;
+        // Load existing file from S3 (the latest upload unless a version is given)
+        async function loadExistingFile(version) {
+            if (LOAD_FROM_API) {
+                return loadTasksFromApi(version);
+            }
+            
+            document.getElementById('loading').style.display = 'block';
+            
+            try {
+                const arrayBuffer = await downloadWorkbook(version);
+                
+                // Process with SheetJS
+                const { sheetName, rows } = readSheetRows(arrayBuffer);
+                await loadBaseline();
+                processExcelData(rows);
+                loadedWorkbook = arrayBuffer;
+                
+                // Update title
+                currentVersion = version || null;
+                document.getElementById('projectTitle').textContent = version ?
+                    sheetName + ' (versión ' + formatVersionDate(version) + ')' : sheetName;
+                
+                // Hide upload screen and show Gantt
+                document.getElementById('uploadContainer').style.display = 'none';
+                document.getElementById('container').style.display = 'flex';
+                document.getElementById('loading').style.display = 'none';
+                
+            } catch (error) {
+                console.error('Error loading file:', error);
+                document.getElementById('loading').style.display = 'none';
+                document.getElementById('uploadMessage').innerHTML = 
+                    '<div class="error-message">Error: ' + error.message + '</div>';
+            }
         }
         
-        .file-input-wrapper input[type=file] {
-            position: absolute;
-            left: -9999px;
+        // Fetch the stored workbook (the latest upload unless a version is given)
+        async function downloadWorkbook(version) {
+            // Get download URL from Lambda
+            const query = version ? '?version=' + encodeURIComponent(version) : '';
+            const response = await authFetch(API_ENDPOINT + '/download' + query);
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'No hay archivo disponible');
+            }
+            
+            // Download file from S3
+            const fileResponse = await fetch(result.url);
+            return fileResponse.arrayBuffer();
         }
         
-        .file-input-label {
-            display: inline-block;
-            padding: 15px 40px;
-            background: #4472C4;
-            color: white;
-            border-radius: 30px;
-            cursor: pointer;
-            transition: all 0.3s;
-            font-size: 16px;
-            font-weight: 500;
+        // Task from /api/tasks with its ISO dates turned into Date objects
+        function parseApiTask(task) {
+            return {
+                ...task,
+                startDate: parseIsoDate(task.startDate),
+                endDate: parseIsoDate(task.endDate),
+                baselineStart: parseIsoDate(task.baselineStart),
+                baselineEnd: parseIsoDate(task.baselineEnd),
+                links: parseDependencyLinks(task.dependencies)
+            };
         }
         
-        .file-input-label:hover {
-            background: #5582D4;
-            transform: translateY(-2px);
-            box-shadow: 0 5px 15px rgba(0,0,0,0.2);
+        // Read the "Proyectos Abiertos" sheet (or the first one) as rows with SheetJS
+        function readSheetRows(arrayBuffer) {
+            const workbook = readWorkbook(arrayBuffer);
+            const sheetName = getTaskSheetName(workbook);
+            
+            // Read the sheet
+            const sheet = workbook.Sheets[sheetName];
+            const rows = XLSX.utils.sheet_to_json(sheet, {
+                header: 1,
+                raw: false,
+                dateNF: 'yyyy-mm-dd'
+            });
+            
+            return { sheetName, rows };
         }
         
-        .file-input-label.loading {
-            background: #999;
-            cursor: not-allowed;
+        function readWorkbook(arrayBuffer) {
+            return XLSX.read(new Uint8Array(arrayBuffer), {
+                type: 'array',
+                cellDates: true,
+                cellNF: true,
+                cellStyles: true,
+                xlfn: true // Keep the "_xlfn." prefix of newer functions in formulas written back by writeTaskChanges
+            });
         }
         
-        .file-info {
-            margin-top: 20px;
-            color: #666;
-            font-size: 14px;
+        // The sheet with the tasks: "Proyectos Abiertos" or else the first one
+        function getTaskSheetName(workbook) {
+            return workbook.Sheets['Proyectos Abiertos'] ? 'Proyectos Abiertos' : workbook.SheetNames[0];
         }
         
-        .load-existing-btn {
-            margin-top: 30px;
-            padding: 12px 30px;
-            background: #28a745;
-            color: white;
-            border: none;
-            border-radius: 25px;
-            cursor: pointer;
-            font-size: 14px;
-            transition: all 0.3s;
+        // Load tasks already parsed by the Lambda
+        async function loadTasksFromApi(version) {
+            document.getElementById('loading').style.display = 'block';
+            
+            try {
+                const query = version ? '?version=' + encodeURIComponent(version) : '';
+                const response = await authFetch(API_ENDPOINT + '/api/tasks' + query);
+                const result = await response.json();
+                
+                if (!response.ok) {
+                    throw new Error(result.error || 'No hay archivo disponible');
+                }
+                
+                await loadBaseline();
+                closeSchedule();
+                ganttData = result.tasks.map(parseApiTask);
+                loadedWorkbook = null;
+                rememberSavedFields();
+                
+                // The Lambda sends parentId and wbs; ancestors are derived here like for local files
+                buildOutline(ganttData);
+                
+                calculateDateRange();
+                renderGantt();
+                
+                // Update title
+                currentVersion = version || null;
+                document.getElementById('projectTitle').textContent = version ?
+                    result.sheetName + ' (versión ' + formatVersionDate(version) + ')' : result.sheetName;
+                
+                // Hide upload screen and show Gantt
+                document.getElementById('uploadContainer').style.display = 'none';
+                document.getElementById('container').style.display = 'flex';
+                document.getElementById('loading').style.display = 'none';
+                
+            } catch (error) {
+                console.error('Error loading tasks:', error);
+                document.getElementById('loading').style.display = 'none';
+                document.getElementById('uploadMessage').innerHTML = 
+                    '<div class="error-message">Error: ' + error.message + '</div>';
+            }
         }
         
-        .load-existing-btn:hover {
-            background: #218838;
-            transform: translateY(-2px);
+        // Load the list of schedules into the picker
+        async function loadSchedules() {
+            const select = document.getElementById('scheduleSelect');
+            
+            try {
+                const response = await authFetch(APP_ROOT + '/schedules');
+                const result = await response.json();
+                
+                if (!response.ok) {
+                    throw new Error(result.error || 'No se pudieron cargar los cronogramas');
+                }
+                
+                const schedules = result.schedules;
+                if (!schedules.some(schedule => schedule.name === SCHEDULE_NAME)) {
+                    schedules.push({ name: SCHEDULE_NAME, updatedAt: null });
+                }
+                
+                select.innerHTML = '';
+                schedules.forEach(schedule => {
+                    const option = document.createElement('option');
+                    option.value = schedule.name;
+                    option.textContent = schedule.name + (schedule.updatedAt ?
+                        ' — ' + formatDateTime(new Date(schedule.updatedAt)) : ' (vacío)');
+                    option.selected = schedule.name === SCHEDULE_NAME;
+                    select.appendChild(option);
+                });
+            } catch (error) {
+                console.error('Error loading schedules:', error);
+                select.innerHTML = '';
+                const option = document.createElement('option');
+                option.value = SCHEDULE_NAME;
+                option.textContent = SCHEDULE_NAME;
+                select.appendChild(option);
+            }
         }
         
-        /* Main Container */
-        .container {
-            display: none;
-            flex-direction: column;
-            height: 100vh;
-            background: white;
+        // Get the page URL of a schedule
+        function getScheduleUrl(name) {
+            return name === 'default' ? APP_ROOT + '/' : APP_ROOT + '/s/' + encodeURIComponent(name) + '/';
         }
         
-        /* Header */
-        .header {
-            height: 50px;
-            background: linear-gradient(to bottom, #2c5aa0, #1e3c72);
-            color: white;
-            display: flex;
-            align-items: center;
-            justify-content: space-between;
-            padding: 0 20px;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+        // Open the schedule chosen in the picker
+        function openSelectedSchedule() {
+            const name = document.getElementById('scheduleSelect').value || SCHEDULE_NAME;
+            
+            if (name === SCHEDULE_NAME) {
+                loadExistingFile();
+            } else {
+                window.location.href = getScheduleUrl(name) + '?open=1';
+            }
         }
         
-        .header h1 {
-            font-size: 20px;
-            font-weight: 400;
+        // Create a new schedule by switching to its (still empty) page
+        function createSchedule() {
+            const name = prompt('Nombre del nuevo cronograma (letras, números, "-" y "_"):');
+            if (!name) return;
+            
+            if (!/^[a-z0-9][a-z0-9_-]{0,62}$/i.test(name.trim())) {
+                document.getElementById('uploadMessage').innerHTML =
+                    '<div class="error-message">Nombre de cronograma inválido</div>';
+                return;
+            }
+            
+            window.location.href = getScheduleUrl(name.trim());
         }
         
-        .header-buttons {
-            display: flex;
-            gap: 10px;
+        // Load the list of uploaded versions into the upload screen
+        async function loadVersions() {
+            try {
+                const response = await authFetch(API_ENDPOINT + '/versions');
+                const result = await response.json();
+                
+                if (!response.ok) {
+                    throw new Error(result.error || 'No se pudieron cargar las versiones');
+                }
+                
+                renderVersions(result.versions);
+            } catch (error) {
+                console.error('Error loading versions:', error);
+            }
         }
         
-        .header-button {
-            padding: 8px 16px;
-            background: rgba(255,255,255,0.2);
-            border: none;
-            color: white;
-            border-radius: 4px;
-            cursor: pointer;
-            font-size: 14px;
-            transition: background 0.2s;
+        // Render version history list
+        function renderVersions(versions) {
+            const panel = document.getElementById('versionsPanel');
+            const list = document.getElementById('versionsList');
+            list.innerHTML = '';
+            
+            if (!versions || versions.length === 0) {
+                panel.style.display = 'none';
+                return;
+            }
+            
+            versions.forEach(version => {
+                const item = document.createElement('div');
+                item.className = 'version-item';
+                
+                const meta = document.createElement('div');
+                meta.className = 'version-meta';
+                meta.textContent = formatDateTime(new Date(version.uploadedAt)) + ' · ' + formatFileSize(version.size);
+                meta.title = version.fileName || '';
+                
+                if (version.source === 'mspdi') {
+                    meta.textContent += ' · MS Project';
+                }
+                
+                if (version.note) {
+                    const note = document.createElement('span');
+                    note.className = 'version-note-text';
+                    note.textContent = ' · ' + version.note;
+                    meta.appendChild(note);
+                }
+                
+                const openButton = document.createElement('button');
+                openButton.className = 'version-open-btn';
+                openButton.textContent = 'Abrir';
+                openButton.onclick = () => loadExistingFile(version.id);
+                
+                item.appendChild(meta);
+                item.appendChild(openButton);
+                list.appendChild(item);
+            });
+            
+            panel.style.display = 'block';
         }
         
-        .header-button:hover {
-            background: rgba(255,255,255,0.3);
+        // Process Excel data
+        function processExcelData(data) {
+            closeSchedule();
+            ganttData = parseTaskRows(data);
+            rememberSavedFields();
+            
+            // Calculate date range
+            calculateDateRange();
+            
+            // Render the Gantt chart
+            renderGantt();
         }
         
-        .main-content {
-            display: flex;
-            flex: 1;
-            height: calc(100vh - 50px);
-            overflow: hidden;
+        // Position of each TASK_COLUMNS header in the sheet (-1 when missing)
+        function getColumnIndices(headers) {
+            const colIndices = {};
+            Object.keys(TASK_COLUMNS).forEach(field => {
+                colIndices[field] = headers.findIndex(h => h === TASK_COLUMNS[field]);
+            });
+            return colIndices;
         }
         
-        /* Task List Panel */
-        .task-panel {
-            width: 670px;
-            border-right: 2px solid #ddd;
-            overflow-y: auto;
-            overflow-x: hidden;
-            background: #fafafa;
-            flex-shrink: 0;
+        // Build the task list from sheet rows
+        function parseTaskRows(data) {
+            const headers = data[0];
+            const tasks = [];
+            
+            const colIndices = getColumnIndices(headers);
+            
+            // Process rows
+            for (let i = 1; i < data.length; i++) {
+                const row = data[i];
+                if (!row || row.length === 0) continue;
+                
+                const task = {
+                    level: parseInt(row[colIndices.level]) || 0,
+                    id: row[colIndices.id] || '',
+                    taskName: row[colIndices.taskName] || '',
+                    description: row[colIndices.description] || '',
+                    startDate: parseDate(row[colIndices.startDate]),
+                    endDate: parseDate(row[colIndices.endDate]),
+                    dias: parseInt(row[colIndices.dias]) || 0,
+                    restante: row[colIndices.restante] !== '' ? parseInt(row[colIndices.restante]) : null,
+                    assignedTo: row[colIndices.assignedTo] || '',
+                    dependencies: row[colIndices.dependencies] || '',
+                    status: row[colIndices.status] || '',
+                    type: row[colIndices.type] || '',
+                    baselineStart: parseDate(row[colIndices.baselineStart]),
+                    baselineEnd: parseDate(row[colIndices.baselineEnd]),
+                    pinned: isPinnedValue(row[colIndices.pinned]),
+                    percentComplete: parsePercentValue(row[colIndices.percentComplete]),
+                    rowIndex: i - 1,
+                    projectId: null
+                };
+                task.links = parseDependencyLinks(task.dependencies);
+                
+                tasks.push(task);
+            }
+            
+            buildOutline(tasks);
+            return tasks;
         }
         
-        .task-header {
-            display: flex;
-            background: #e0e0e0;
-            border-bottom: 2px solid #ccc;
-            position: sticky;
-            top: 0;
-            z-index: 10;
-            height: 40px;
-            box-sizing: border-box;
+        // Parent/child tree from "Level": parentId, ancestorIds, depth, WBS number (1.2.3), hasChildren
+        // and the enclosing Project. A Project row always contains the tasks under it, even at the same level.
+        function buildOutline(tasks) {
+            const stack = [];
+            const childCounts = new Map();
+            
+            tasks.forEach(task => {
+                while (stack.length > 0 && !isOutlineParent(stack[stack.length - 1], task)) {
+                    stack.pop();
+                }
+                const parent = stack[stack.length - 1] || null;
+                
+                childCounts.set(parent, (childCounts.get(parent) || 0) + 1);
+                task.parentId = parent ? parent.id : null;
+                task.ancestorIds = parent ? parent.ancestorIds.concat(parent.id) : [];
+                task.depth = parent ? parent.depth + 1 : 0;
+                task.wbs = (parent ? parent.wbs + '.' : '') + childCounts.get(parent);
+                task.hasChildren = false;
+                task.projectId = task.type === 'Project' ? task.id : (parent ? parent.projectId : null);
+                if (parent) parent.hasChildren = true;
+                
+                stack.push(task);
+            });
         }
         
-        .task-header > div {
-            padding: 10px;
-            border-right: 1px solid #ccc;
-            font-weight: bold;
-            font-size: 12px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            text-align: center;
-            box-sizing: border-box;
-            margin: 0;
+        function isOutlineParent(candidate, task) {
+            return candidate.level < task.level || (candidate.type === 'Project' && task.type !== 'Project');
         }
         
-        .col-task-name { width: 280px; justify-content: flex-start; }
-        .col-duration { width: 60px; }
-        .col-start { width: 95px; }
-        .col-end { width: 95px; }
-        .col-remaining { width: 70px; }
-        .col-assigned { width: 120px; }
-        
-        /* Task Rows - ensure exact same rendering */
-        .task-row, .gantt-row {
-            font-size: 12px;
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            -webkit-font-smoothing: antialiased;
-            -moz-osx-font-smoothing: grayscale;
+        // "Pinned" column: the task keeps its dates when auto-scheduling moves its predecessors
+        function isPinnedValue(value) {
+            return value === true || /^\\s*(s[ií]|yes|true|x|1)\\s*$/i.test(String(value || ''));
         }
         
-        .task-row {
-            display: flex;
-            border-bottom: 1px solid #e0e0e0;
-            height: 27px;
-            box-sizing: content-box;
-            align-items: center;
-            cursor: pointer;
-            transition: background 0.2s;
+        // "% Complete" as 0-100 from "45%", "45" or the 0.45 fraction of a percent cell; null when empty
+        function parsePercentValue(value) {
+            const text = String(value === undefined || value === null ? '' : value).trim();
+            let percent = parseFloat(text.replace(',', '.'));
+            if (isNaN(percent)) return null;
+            if (!text.includes('%') && percent > 0 && percent < 1) percent *= 100;
+            return Math.min(100, Math.max(0, Math.round(percent)));
         }
         
-        .task-row:hover {
-            background: #e8f4f8;
+        // Summary rows take their dates, duration, % complete and worst Restante from the tasks under them.
+        // The typed-in values stay on the task; task.rollup holds the computed ones (null for other rows).
+        function calculateRollups(tasks) {
+            tasks.forEach(task => {
+                task.rollup = null;
+            });
+            tasks.forEach((task, index) => {
+                if (!task.hasChildren) return;
+                
+                const leaves = [];
+                for (let i = index + 1; i < tasks.length && tasks[i].depth > task.depth; i++) {
+                    if (!tasks[i].hasChildren) leaves.push(tasks[i]);
+                }
+                
+                const starts = leaves.map(leaf => leaf.startDate).filter(Boolean);
+                const ends = leaves.map(leaf => leaf.endDate).filter(Boolean);
+                if (starts.length === 0 && ends.length === 0) return;
+                
+                const startDate = starts.length > 0 ? new Date(Math.min(...starts)) : null;
+                const endDate = ends.length > 0 ? new Date(Math.max(...ends)) : null;
+                const remaining = leaves.map(leaf => leaf.restante).filter(value => value !== null && !isNaN(value));
+                
+                task.rollup = {
+                    startDate,
+                    endDate,
+                    dias: startDate && endDate ? diffDays(startDate, endDate) + 1 : 0,
+                    restante: remaining.length > 0 ? Math.min(...remaining) : null,
+                    percentComplete: getRolledUpPercent(leaves),
+                    startMismatch: Boolean(task.startDate && startDate) && diffDays(task.startDate, startDate) !== 0,
+                    endMismatch: Boolean(task.endDate && endDate) && diffDays(task.endDate, endDate) !== 0
+                };
+            });
         }
         
-        .task-row.project {
-            background: #4472C4;
-            color: white;
-            font-weight: bold;
-            font-size: 12px;
-            height: 27px;
+        // Average % complete weighted by duration, as MS Project does; unknown progress counts as 0
+        function getRolledUpPercent(leaves) {
+            if (!leaves.some(leaf => getTaskProgress(leaf) !== null)) return null;
+            
+            let weighted = 0;
+            let total = 0;
+            leaves.forEach(leaf => {
+                const duration = leaf.startDate && leaf.endDate ? diffDays(leaf.startDate, leaf.endDate) + 1 : (leaf.dias || 1);
+                weighted += (getTaskProgress(leaf) || 0) * duration;
+                total += duration;
+            });
+            return Math.round(weighted / total);
         }
         
-        .task-row.project:hover {
-            background: #5582D4;
+        // % complete from the "% Complete" column, else from the status through STATUS_PROGRESS;
+        // summary rows use their roll-up when the tasks under them have any progress. Null when unknown.
+        function getTaskProgress(task) {
+            if (task.rollup && task.rollup.percentComplete !== null) return task.rollup.percentComplete;
+            if (task.percentComplete !== null && task.percentComplete !== undefined) return task.percentComplete;
+            const status = String(task.status || '').trim().toLowerCase();
+            return Object.prototype.hasOwnProperty.call(STATUS_PROGRESS, status) ? STATUS_PROGRESS[status] : null;
         }
         
-        .task-row.collapsed {
-            display: none;
+        // Dates, Días, Restante and % complete to show: the roll-up for summary rows, the row itself otherwise
+        function getShownValues(task) {
+            return task.rollup || task;
         }
         
-        .task-row > div {
-            padding: 0 8px;
-            border-right: 1px solid #e0e0e0;
-            font-size: 12px;
-            overflow: hidden;
-            text-overflow: ellipsis;
-            white-space: nowrap;
-            box-sizing: border-box;
-            margin: 0;
-            line-height: 27px;
-            height: 27px;
+        // Parse date from various formats
+        function parseDate(dateValue) {
+            if (!dateValue) return null;
+            
+            // If it's already a Date object
+            if (dateValue instanceof Date) {
+                return isNaN(dateValue) ? null : dateValue;
+            }
+            
+            // Try parsing as string
+            const date = new Date(dateValue);
+            return isNaN(date) ? null : date;
         }
         
-        .task-name {
-            width: 280px;
-            display: flex;
-            align-items: center;
-            margin: 0;
-            height: 27px;
-            overflow: hidden;
+        // Parse a YYYY-MM-DD date as local midnight
+        function parseIsoDate(value) {
+            if (!value) return null;
+            const [year, month, day] = value.split('-').map(Number);
+            return new Date(year, month - 1, day);
         }
         
-        .task-row.level-1 .task-name { padding-left: 25px !important; }
-        .task-row.level-2 .task-name { padding-left: 45px !important; }
-        
-        .expand-icon {
-            margin-right: 5px;
-            cursor: pointer;
-            user-select: none;
-            transition: transform 0.2s;
-            display: inline-flex;
-            align-items: center;
-            line-height: 27px;
-            font-size: 12px;
+        // Calculate date range
+        function calculateDateRange() {
+            // Keep ghost bars of the compared version on screen too
+            const tasks = compareState ? ganttData.concat(compareState.baseTasks) : ganttData;
+            const dates = tasks
+                .flatMap(task => {
+                    const baseline = getTaskBaseline(task);
+                    return [task.startDate, task.endDate, baseline && baseline.start, baseline && baseline.end];
+                })
+                .filter(date => date && !isNaN(date));
+            
+            if (dates.length === 0) {
+                minDate = new Date();
+                maxDate = new Date();
+                maxDate.setMonth(maxDate.getMonth() + 6);
+            } else {
+                minDate = new Date(Math.min(...dates));
+                maxDate = new Date(Math.max(...dates));
+            }
+            
+            // Add padding
+            minDate.setDate(minDate.getDate() - 30);
+            maxDate.setDate(maxDate.getDate() + 60);
         }
         
-        .expand-icon.collapsed {
-            transform: rotate(-90deg);
+        // Render the Gantt chart
+        function renderGantt() {
+            const taskList = document.getElementById('taskList');
+            const ganttRows = document.getElementById('ganttRows');
+            const timelineHeader = document.getElementById('timelineHeader');
+            
+            // Clear existing content
+            taskList.innerHTML = '';
+            ganttRows.innerHTML = \`
+                <svg class="dependency-container" id="dependencyContainer" style="position: absolute; top: 0; left: 0; pointer-events: none; z-index: 1;">
+                    <defs>
+                        <marker id="arrowhead" markerWidth="10" markerHeight="7" 
+                                refX="9" refY="3.5" orient="auto" fill="#666">
+                            <polygon points="0 0, 10 3.5, 0 7" />
+                        </marker>
+                        <marker id="arrowhead-critical" markerWidth="10" markerHeight="7" 
+                                refX="9" refY="3.5" orient="auto" fill="#c0392b">
+                            <polygon points="0 0, 10 3.5, 0 7" />
+                        </marker>
+                        <marker id="arrowhead-warning" markerWidth="10" markerHeight="7" 
+                                refX="9" refY="3.5" orient="auto" fill="#e67e22">
+                            <polygon points="0 0, 10 3.5, 0 7" />
+                        </marker>
+                    </defs>
+                </svg>
+                <div class="grid-lines" id="gridLines" style="position: absolute; top: 0; left: 0; right: 0; bottom: 0; pointer-events: none;"></div>
+                <div class="today-line" id="todayLine" style="position: absolute; top: 0; width: 2px; background: #e74c3c; z-index: 5; pointer-events: none;">
+                    <div class="today-label">HOY</div>
+                </div>
+            \`;
+            timelineHeader.innerHTML = '';
+            ganttRows.classList.toggle('compare-mode', compareState !== null);
+            
+            // Roll-ups and float depend on the dates shown, so they are recalculated on every render
+            calculateRollups(ganttData);
+            if (compareState) calculateRollups(compareState.baseTasks);
+            calculateCriticalPath();
+            checkDependencies();
+            ganttRows.classList.toggle('has-baseline', ganttData.some(task => getTaskBaseline(task)));
+            
+            // Calculate total days
+            const totalDays = Math.ceil((maxDate - minDate) / (1000 * 60 * 60 * 24));
+            
+            // Set container width
+            const ganttContainer = document.getElementById('ganttContainer');
+            ganttContainer.style.minWidth = (totalDays * dayWidth) + 'px';
+            
+            // Render timeline header
+            renderTimeline(timelineHeader, totalDays);
+            
+            // Render grid lines
+            renderGridLines(totalDays);
+            
+            // Position today line
+            positionTodayLine();
+            
+            // Render tasks
+            ganttData.forEach((task, index) => {
+                // Create task row in left panel
+                const taskRow = createTaskRow(task, index);
+                taskList.appendChild(taskRow);
+                
+                // Create gantt row
+                const ganttRow = createGanttRow(task, index);
+                ganttRows.appendChild(ganttRow);
+            });
+            
+            // Sync scroll between panels
+            syncScroll();
+            
+            updateSaveButton();
+            
+            // Render dependencies after a short delay to ensure DOM is ready
+            setTimeout(() => {
+                renderDependencies();
+            }, 100);
         }
         
-        .task-duration { width: 60px; text-align: center; line-height: 27px; }
-        .task-start { width: 95px; text-align: center; line-height: 27px; }
-        .task-end { width: 95px; text-align: center; line-height: 27px; }
-        .task-remaining { width: 70px; text-align: center; line-height: 27px; }
-        .task-assigned { 
-            width: 120px; 
-            text-align: center;
-            font-size: 11px;
-            color: #666;
-            line-height: 27px;
+        // Create task row for left panel
+        function createTaskRow(task, index) {
+            const row = document.createElement('div');
+            row.className = \`task-row \${task.type.toLowerCase()} level-\${task.level}\`;
+            if (task.hasChildren) row.classList.add('summary');
+            row.dataset.taskId = task.id;
+            row.dataset.index = index;
+            
+            // Check if should be collapsed
+            if (isTaskHidden(task)) {
+                row.classList.add('collapsed');
+            }
+            
+            const change = getTaskChange(task);
+            if (change && change.kind !== 'unchanged') {
+                row.classList.add('compare-' + change.kind);
+            }
+            if (isTaskRescheduled(task)) {
+                row.classList.add('rescheduled');
+            }
+            
+            // WBS number
+            const wbs = document.createElement('div');
+            wbs.className = 'task-wbs';
+            wbs.textContent = task.wbs || '';
+            
+            // Task name, indented by depth
+            const taskName = document.createElement('div');
+            taskName.className = 'task-name';
+            taskName.style.paddingLeft = (8 + (task.depth || 0) * 18) + 'px';
+            
+            if (task.hasChildren) {
+                const expandIcon = document.createElement('span');
+                expandIcon.className = 'expand-icon';
+                expandIcon.textContent = isTaskExpanded(task) ? '▼' : '▶';
+                if (!isTaskExpanded(task)) {
+                    expandIcon.classList.add('collapsed');
+                }
+                expandIcon.onclick = (e) => {
+                    e.stopPropagation();
+                    toggleTask(task.id);
+                };
+                taskName.appendChild(expandIcon);
+            }
+            
+            const nameText = document.createElement('span');
+            nameText.textContent = task.taskName;
+            taskName.appendChild(nameText);
+            
+            // Summary rows show the roll-up of their tasks
+            const shown = getShownValues(task);
+            
+            // Duration
+            const duration = document.createElement('div');
+            duration.className = 'task-duration';
+            duration.textContent = shown.dias || '';
+            
+            // Start date
+            const startDate = document.createElement('div');
+            startDate.className = 'task-start';
+            startDate.textContent = shown.startDate ? formatDate(shown.startDate) : '';
+            
+            // End date
+            const endDate = document.createElement('div');
+            endDate.className = 'task-end';
+            endDate.textContent = shown.endDate ? formatDate(shown.endDate) : '';
+            
+            // Typed-in summary dates that disagree with the roll-up
+            if (task.rollup && task.rollup.startMismatch) {
+                startDate.classList.add('rollup-mismatch');
+                startDate.title = 'En el archivo: ' + formatDate(task.startDate);
+            }
+            if (task.rollup && task.rollup.endMismatch) {
+                endDate.classList.add('rollup-mismatch');
+                endDate.title = 'En el archivo: ' + formatDate(task.endDate);
+            }
+            
+            // Remaining days
+            const remaining = document.createElement('div');
+            remaining.className = 'task-remaining';
+            if (shown.restante !== null) {
+                remaining.textContent = shown.restante;
+                if (shown.restante < 0) {
+                    remaining.classList.add('overdue');
+                } else if (shown.restante <= 3) {
+                    remaining.classList.add('due-soon');
+                }
+            }
+            
+            // Assigned to
+            const assigned = document.createElement('div');
+            assigned.className = 'task-assigned';
+            assigned.textContent = task.assignedTo || '-';
+            assigned.title = task.assignedTo || 'No asignado'; // Tooltip for full name
+            
+            // Status
+            const status = document.createElement('div');
+            status.className = 'task-status';
+            status.textContent = task.status || '';
+            status.title = task.status || '';
+            
+            // Progress, with a meter behind the number
+            const progressCell = document.createElement('div');
+            progressCell.className = 'task-progress';
+            const progress = getTaskProgress(task);
+            if (progress !== null) {
+                progressCell.textContent = progress + '%';
+                progressCell.style.background = \`linear-gradient(to right, rgba(112, 173, 71, 0.35) \${progress}%, transparent \${progress}%)\`;
+                const rolledUp = task.rollup && task.rollup.percentComplete !== null;
+                if (!rolledUp && (task.percentComplete === null || task.percentComplete === undefined)) {
+                    progressCell.title = 'Según el estado "' + task.status + '"';
+                }
+            }
+            
+            row.appendChild(wbs);
+            row.appendChild(taskName);
+            row.appendChild(duration);
+            row.appendChild(startDate);
+            row.appendChild(endDate);
+            row.appendChild(remaining);
+            row.appendChild(assigned);
+            row.appendChild(status);
+            row.appendChild(progressCell);
+            
+            // Double-click editing; Project and summary dates follow their tasks
+            if (canEditSchedule()) {
+                makeCellEditable(nameText, task, 'taskName');
+                if (task.type !== 'Project' && !task.hasChildren) {
+                    makeCellEditable(duration, task, 'dias');
+                    makeCellEditable(startDate, task, 'startDate');
+                    makeCellEditable(endDate, task, 'endDate');
+                }
+                makeCellEditable(assigned, task, 'assignedTo');
+                makeCellEditable(status, task, 'status');
+                
+                row.oncontextmenu = (e) => {
+                    e.preventDefault();
+                    selectTask(task.id, index);
+                    showRowMenu(index, e.clientX, e.clientY);
+                };
+            }
+            
+            // Optional columns
+            OPTIONAL_COLUMNS.forEach(column => {
+                const cell = document.createElement('div');
+                cell.className = \`task-optional task-\${column.name}\`;
+                cell.style.width = column.width + 'px';
+                column.render(task, cell);
+                row.appendChild(cell);
+            });
+            
+            // Click handler
+            row.onclick = () => selectTask(task.id, index);
+            
+            return row;
         }
         
-        .task-row.project .task-assigned {
-            color: white;
+        // Create Gantt row
+        function createGanttRow(task, index) {
+            const row = document.createElement('div');
+            row.className = \`gantt-row \${task.type.toLowerCase()}\`;
+            row.dataset.taskId = task.id;
+            row.dataset.index = index;
+            
+            // Check if should be collapsed
+            if (isTaskHidden(task)) {
+                row.classList.add('collapsed');
+            }
+            
+            // Create Gantt bar if dates exist
+            const change = getTaskChange(task);
+            const shown = getShownValues(task);
+            if (shown.startDate || shown.endDate) {
+                const bar = createGanttBar(task);
+                if (bar) {
+                    if (change && change.kind !== 'unchanged') bar.classList.add('compare-' + change.kind);
+                    if (isTaskRescheduled(task)) bar.classList.add('rescheduled');
+                    row.appendChild(bar);
+                }
+            }
+            
+            // Thin gray bar with the baseline dates
+            const baseline = getTaskBaseline(task);
+            const baselineGeometry = baseline && getBarGeometry({ ...task, rollup: null, startDate: baseline.start, endDate: baseline.end }, minDate, dayWidth);
+            if (baselineGeometry) {
+                const baselineBar = document.createElement('div');
+                baselineBar.className = 'baseline-bar';
+                baselineBar.style.left = baselineGeometry.left + 'px';
+                baselineBar.style.width = baselineGeometry.width + 'px';
+                row.appendChild(baselineBar);
+            }
+            
+            // Ghost bar with the dates of the compared version
+            const ghost = change && change.base && getBarGeometry(change.base, minDate, dayWidth);
+            if (ghost) {
+                const ghostBar = document.createElement('div');
+                ghostBar.className = 'ghost-bar';
+                ghostBar.style.left = ghost.left + 'px';
+                ghostBar.style.width = ghost.width + 'px';
+                row.appendChild(ghostBar);
+            }
+            
+            return row;
         }
         
-        .task-remaining.overdue {
-            color: #e74c3c;
-            font-weight: bold;
+        // Create Gantt bar
+        function createGanttBar(task) {
+            const geometry = getBarGeometry(task, minDate, dayWidth);
+            if (!geometry) return null; // No dates
+            
+            const bar = document.createElement('div');
+            bar.className = 'gantt-bar ' + geometry.classes.join(' ');
+            bar.dataset.taskId = task.id; // Add this for dependency rendering
+            if (showCriticalPath && task.cpm && task.cpm.critical) {
+                bar.classList.add('critical');
+            }
+            bar.style.left = geometry.left + 'px';
+            bar.style.width = geometry.width + 'px';
+            
+            // Add task name for wide bars; summary brackets are too thin for it
+            if (geometry.width > 100 && !task.rollup) {
+                bar.textContent = task.taskName;
+            }
+            appendProgressFill(bar, task);
+            
+            // Tooltip
+            bar.onmouseover = (e) => showTooltip(e, task);
+            bar.onmouseout = hideTooltip;
+            
+            if (canEditSchedule() && task.type !== 'Project' && !task.hasChildren && task.startDate && task.endDate) {
+                enableBarDragging(bar, task);
+            }
+            
+            return bar;
         }
         
-        .task-remaining.due-soon {
-            color: #f39c12;
-            font-weight: bold;
+        // Position and classes of a task's bar on a timeline starting at originDate.
+        // Summary rows are drawn as a bracket over their roll-up dates, without status colors.
+        function getBarGeometry(task, originDate, pxPerDay) {
+            const classes = [task.type.toLowerCase()];
+            const { startDate, endDate } = getShownValues(task);
+            let startDays, duration;
+            
+            if (startDate && endDate) {
+                // Both dates exist
+                startDays = Math.floor((startDate - originDate) / (1000 * 60 * 60 * 24));
+                duration = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
+            } else if (startDate && !endDate) {
+                // Only start date
+                startDays = Math.floor((startDate - originDate) / (1000 * 60 * 60 * 24));
+                duration = 7; // Default 1 week
+                classes.push('no-dates');
+            } else if (!startDate && endDate) {
+                // Only end date
+                duration = 7; // Default 1 week
+                startDays = Math.floor((endDate - originDate) / (1000 * 60 * 60 * 24)) - duration;
+                classes.push('no-dates');
+            } else {
+                return null;
+            }
+            
+            // Add status colors
+            if (task.rollup) {
+                classes.push('summary');
+            } else if (task.restante !== null && task.restante < 0) {
+                classes.push('overdue');
+            } else if (task.restante !== null && task.restante <= 3) {
+                classes.push('due-soon');
+            }
+            
+            return {
+                left: startDays * pxPerDay,
+                width: duration * pxPerDay,
+                classes
+            };
         }
         
-        /* Gantt Chart Panel */
-        .gantt-panel {
-            flex: 1;
-            overflow: auto;
-            position: relative;
+        // Darker fill over the part of the bar already done
+        function appendProgressFill(bar, task) {
+            const progress = getTaskProgress(task);
+            if (!progress) return;
+            
+            const fill = document.createElement('div');
+            fill.className = 'bar-progress';
+            fill.style.width = progress + '%';
+            bar.appendChild(fill);
         }
         
-        .gantt-container {
-            position: relative;
-            min-width: 1000px;
-            box-sizing: border-box;
-            padding: 0;
-            margin: 0;
+        // Progress line: straight down the status date (today), bent out to the progress point of every
+        // task that should be under way, so work behind schedule peaks left and work ahead peaks right
+        function getProgressLinePath(tasks, originDate, pxPerDay) {
+            const statusX = diffDays(originDate, today) * pxPerDay;
+            const points = [\`M \${statusX} 0\`];
+            tasks.forEach((task, row) => {
+                const x = getProgressPointX(task, originDate, pxPerDay);
+                if (x === null) return;
+                const top = row * rowHeight;
+                points.push(\`L \${statusX} \${top + 3}\`, \`L \${x} \${top + rowHeight / 2}\`, \`L \${statusX} \${top + rowHeight - 3}\`);
+            });
+            points.push(\`L \${statusX} \${tasks.length * rowHeight}\`);
+            return points.join(' ');
         }
         
-        /* Timeline Header */
-        .timeline-header {
-            position: sticky;
-            top: 0;
-            background: #e0e0e0;
-            border-bottom: 2px solid #ccc;
-            z-index: 10;
-            height: 60px;
-            box-sizing: border-box;
+        // Where a task's bar reaches its % complete; null for summary rows, tasks without progress or
+        // dates, work finished before today and work that is not due to start yet
+        function getProgressPointX(task, originDate, pxPerDay) {
+            const progress = getTaskProgress(task);
+            if (task.hasChildren || progress === null || !task.startDate || !task.endDate) return null;
+            if ((progress >= 100 && task.endDate < today) || (progress === 0 && task.startDate > today)) return null;
+            
+            const geometry = getBarGeometry(task, originDate, pxPerDay);
+            return geometry.left + geometry.width * progress / 100;
         }
         
-        .month-row {
-            height: 30px;
-            display: flex;
-            border-bottom: 1px solid #ccc;
+        function renderProgressLine() {
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.classList.add('progress-line');
+            path.setAttribute('d', getProgressLinePath(ganttData.filter(task => !isTaskHidden(task)), minDate, dayWidth));
+            document.getElementById('dependencyContainer').appendChild(path);
         }
         
-        .month-cell {
-            border-right: 1px solid #ccc;
-            text-align: center;
-            font-weight: bold;
-            font-size: 12px;
-            line-height: 30px;
-            background: #f0f0f0;
+        function toggleProgressLine() {
+            showProgressLine = !showProgressLine;
+            document.getElementById('progressLineButton').classList.toggle('active', showProgressLine);
+            document.querySelector('.legend-progress').style.display = showProgressLine ? 'flex' : 'none';
+            renderGantt();
         }
         
-        .day-row {
-            height: 30px;
-            display: flex;
+        // Rows under any collapsed row are hidden
+        function isTaskHidden(task) {
+            return (task.ancestorIds || []).some(id => expandedStates[id] === false);
         }
         
-        .day-cell {
-            border-right: 1px solid #ddd;
-            text-align: center;
-            font-size: 10px;
-            line-height: 30px;
-            width: 30px;
-            flex-shrink: 0;
+        function isTaskExpanded(task) {
+            return expandedStates[task.id] !== false;
         }
         
-        .day-cell.weekend {
-            background: #f5f5f5;
+        // Render dependencies
+        function renderDependencies() {
+            const svg = document.getElementById('dependencyContainer');
+            const ganttContainer = document.getElementById('ganttContainer');
+            
+            // Clear existing lines
+            svg.querySelectorAll('path').forEach(path => path.remove());
+            
+            // Set SVG size
+            svg.style.width = ganttContainer.scrollWidth + 'px';
+            svg.style.height = (ganttData.length * 28) + 'px'; // 28px total height per row
+            
+            // Process each task with dependencies
+            ganttData.forEach((task, toIndex) => {
+                // Draw line for each dependency
+                (task.links || []).forEach(link => {
+                    const fromIndex = ganttData.findIndex(t => t.id === link.id);
+                    if (fromIndex !== -1) {
+                        drawDependencyLine(fromIndex, toIndex, link);
+                    }
+                });
+            });
+            
+            if (showProgressLine) {
+                renderProgressLine();
+            }
         }
         
-        .day-cell.today {
-            background: #ffe6e6;
-            font-weight: bold;
+        // Predecessor links of a task as { id, type, lag }. Format could be "Task Name (ID)" or
+        // just "ID", with an optional MS Project type and lag in days: "12SS+2d", "14FF-1d"
+        function parseDependencyLinks(dependencies) {
+            const text = String(dependencies || '').trim();
+            if (text === '') return [];
+            
+            // Try to extract links from parentheses, otherwise split by comma or semicolon
+            const inParentheses = (text.match(/\\(([^)]*)\\)/g) || []).map(match => match.slice(1, -1));
+            const parts = inParentheses.some(part => DEPENDENCY_LINK_PATTERN.test(part.trim())) ?
+                inParentheses : text.split(/[,;]/);
+            
+            return parts.map(part => {
+                const match = part.trim().match(DEPENDENCY_LINK_PATTERN);
+                if (!match) return null;
+                const lag = match[4] ? Math.round(parseFloat(match[4])) * (match[3] === '-' ? -1 : 1) : 0;
+                return { id: match[1], type: (match[2] || 'FS').toUpperCase(), lag };
+            }).filter(Boolean);
         }
         
-        /* Gantt Bars */
-        .gantt-rows {
-            position: relative;
-            box-sizing: border-box;
-            background: transparent;
+        // Link type and lag for tooltips, e.g. "FS" or "SS +2d"
+        function formatLinkLabel(link) {
+            return link.type + (link.lag ? \` \${link.lag > 0 ? '+' : ''}\${link.lag}d\` : '');
         }
         
-        /* SVG and grid lines should not affect row layout */
-        .dependency-container, .grid-lines, .today-line {
-            position: absolute !important;
-            top: 0;
-            left: 0;
-            pointer-events: none;
+        // Both tasks need the dates on the edges a link connects
+        function hasLinkDates(link, fromTask, toTask) {
+            const [fromEdge, toEdge] = LINK_EDGES[link.type];
+            return Boolean((fromEdge === 'finish' ? fromTask.endDate : fromTask.startDate) &&
+                (toEdge === 'finish' ? toTask.endDate : toTask.startDate));
         }
-        
-        /* Ensure gantt rows are properly stacked */
-        .gantt-row {
-            height: 27px;
-            box-sizing: content-box;
-            border-bottom: 1px solid #e0e0e0;
-            position: relative;
-            margin: 0;
-            padding: 0;
+
+        function drawDependencyLine(fromIndex, toIndex, link) {
+            const svg = document.getElementById('dependencyContainer');
+            const fromTask = ganttData[fromIndex];
+            const toTask = ganttData[toIndex];
+            
+            // Skip if tasks don't have proper dates
+            if (!hasLinkDates(link, fromTask, toTask)) return;
+            
+            // Calculate positions
+            const fromBar = getBarGeometry(fromTask, minDate, dayWidth);
+            const toBar = getBarGeometry(toTask, minDate, dayWidth);
+            
+            if (!fromBar || !toBar) return;
+            
+            // Create SVG path
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.classList.add('dependency-line');
+            if (warningLinks.has(fromTask.id + '>' + toTask.id)) {
+                path.classList.add('warning');
+            } else if (showCriticalPath && isCriticalLink(fromTask, toTask, link)) {
+                path.classList.add('critical');
+            }
+            
+            const d = getDependencyPath(fromBar, fromIndex, toBar, toIndex, link.type);
+            
+            path.setAttribute('d', d);
+            path.setAttribute('data-from', fromTask.id);
+            path.setAttribute('data-to', toTask.id);
+            path.setAttribute('data-type', link.type);
+            
+            // Add tooltip on hover
+            path.innerHTML = \`<title>\${fromTask.taskName} → \${toTask.taskName} (\${formatLinkLabel(link)})</title>\`;
+            
+            svg.appendChild(path);
         }
         
-        .gantt-row.project {
-            background: rgba(68, 114, 196, 0.1);
-            height: 27px;
+        // Elbow path between the bar edges a link connects: finish-to-start leaves the predecessor's
+        // end and enters the successor's start; SS, FF and SF use the matching edges instead
+        function getDependencyPath(fromBar, fromRow, toBar, toRow, type = 'FS') {
+            const [fromEdge, toEdge] = LINK_EDGES[type];
+            const fromX = fromEdge === 'finish' ? fromBar.left + fromBar.width : fromBar.left;
+            const fromY = fromRow * rowHeight + rowHeight / 2; // 28px total height (27 + 1 border), center at 14
+            const toX = toEdge === 'finish' ? toBar.left + toBar.width : toBar.left;
+            const toY = toRow * rowHeight + rowHeight / 2;
+            
+            if (type === 'SS') {
+                const midX = Math.min(fromX, toX) - 15;
+                return \`M \${fromX} \${fromY} L \${midX} \${fromY} L \${midX} \${toY} L \${toX - 5} \${toY}\`;
+            }
+            if (type === 'FF') {
+                const midX = Math.max(fromX, toX) + 15;
+                return \`M \${fromX} \${fromY} L \${midX} \${fromY} L \${midX} \${toY} L \${toX + 5} \${toY}\`;
+            }
+            if (type === 'SF') {
+                // Go back from the predecessor's start, cross between the rows and come into the successor's end
+                const leftX = fromX - 15;
+                const rightX = toX + 15;
+                const midY = toY + (fromY < toY ? -rowHeight / 2 : rowHeight / 2);
+                return \`M \${fromX} \${fromY} L \${leftX} \${fromY} L \${leftX} \${midY} L \${rightX} \${midY} L \${rightX} \${toY} L \${toX + 5} \${toY}\`;
+            }
+            
+            // Create a nice curved path
+            const midX = fromX + 20;
+            return \`M \${fromX} \${fromY} L \${midX} \${fromY} L \${midX} \${toY} L \${toX - 5} \${toY}\`;
         }
         
-        .gantt-row.collapsed {
-            display: none;
+        // Render timeline header
+        function renderTimeline(container, totalDays, startDate = minDate, pxPerDay = dayWidth) {
+            const monthRow = document.createElement('div');
+            monthRow.className = 'month-row';
+            
+            const dayRow = document.createElement('div');
+            dayRow.className = 'day-row';
+            
+            let currentDate = new Date(startDate);
+            let currentMonth = -1;
+            let currentYear = currentDate.getFullYear();
+            let monthStart = 0;
+            
+            for (let i = 0; i < totalDays; i++) {
+                // Day cell
+                const dayCell = document.createElement('div');
+                dayCell.className = 'day-cell';
+                if (pxPerDay !== 30) {
+                    dayCell.style.width = pxPerDay + 'px';
+                    dayCell.style.boxSizing = 'border-box';
+                    if (pxPerDay < 16) dayCell.style.fontSize = '7px';
+                }
+                
+                if (currentDate.getDay() === 0 || currentDate.getDay() === 6) {
+                    dayCell.classList.add('weekend');
+                }
+                
+                if (currentDate.toDateString() === today.toDateString()) {
+                    dayCell.classList.add('today');
+                }
+                
+                dayCell.textContent = currentDate.getDate();
+                dayRow.appendChild(dayCell);
+                
+                // Check for new month
+                if (currentDate.getMonth() !== currentMonth) {
+                    if (currentMonth !== -1) {
+                        // Finish previous month
+                        const monthCell = document.createElement('div');
+                        monthCell.className = 'month-cell';
+                        monthCell.style.width = ((i - monthStart) * pxPerDay) + 'px';
+                        monthCell.textContent = getMonthName(currentMonth) + ' ' + currentYear;
+                        monthRow.appendChild(monthCell);
+                    }
+                    currentMonth = currentDate.getMonth();
+                    currentYear = currentDate.getFullYear();
+                    monthStart = i;
+                }
+                
+                currentDate.setDate(currentDate.getDate() + 1);
+            }
+            
+            // Finish last month
+            const monthCell = document.createElement('div');
+            monthCell.className = 'month-cell';
+            monthCell.style.width = ((totalDays - monthStart) * pxPerDay) + 'px';
+            monthCell.textContent = getMonthName(currentMonth) + ' ' + currentYear;
+            monthRow.appendChild(monthCell);
+            
+            container.appendChild(monthRow);
+            container.appendChild(dayRow);
         }
         
-        .gantt-bar {
-            position: absolute;
-            height: 19px;
-            top: 4px;
-            border-radius: 3px;
-            cursor: pointer;
-            transition: opacity 0.2s;
-            z-index: 2;
-            display: flex;
-            align-items: center;
-            padding: 0 4px;
-            font-size: 10px;
-            color: white;
-            overflow: hidden;
-            box-sizing: border-box;
+        // Render grid lines
+        function renderGridLines(totalDays) {
+            const gridLines = document.getElementById('gridLines');
+            const totalHeight = ganttData.length * 28; // 28px per row
+            let currentDate = new Date(minDate);
+            
+            for (let i = 0; i < totalDays; i++) {
+                const line = document.createElement('div');
+                line.className = 'grid-line';
+                line.style.left = (i * dayWidth) + 'px';
+                line.style.height = totalHeight + 'px';
+                
+                if (currentDate.getDay() === 1) {
+                    line.classList.add('week');
+                }
+                if (currentDate.getDate() === 1) {
+                    line.classList.add('month');
+                }
+                
+                gridLines.appendChild(line);
+                currentDate.setDate(currentDate.getDate() + 1);
+            }
         }
         
-        .gantt-bar:hover {
-            opacity: 0.8;
-            z-index: 3;
+        // Position today line
+        function positionTodayLine() {
+            const todayLine = document.getElementById('todayLine');
+            const daysSinceStart = Math.floor((today - minDate) / (1000 * 60 * 60 * 24));
+            todayLine.style.left = (daysSinceStart * dayWidth) + 'px';
+            
+            // Ensure today line spans full height including all rows
+            const totalHeight = ganttData.length * 28; // 28px per row
+            todayLine.style.height = totalHeight + 'px';
         }
         
-        .gantt-bar.project {
-            background: #4472C4;
-            height: 21px;
-            top: 3px;
-            font-weight: bold;
+        // Show tooltip
+        function showTooltip(event, task) {
+            const tooltip = document.getElementById('tooltip');
+            
+            let html = \`<div class="tooltip-title">\${task.taskName}</div>\`;
+            
+            if (task.description) {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Descripción:</span>
+                    <span>\${task.description}</span>
+                </div>\`;
+            }
+            
+            if (task.assignedTo) {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Asignado a:</span>
+                    <span>\${task.assignedTo}</span>
+                </div>\`;
+            }
+            
+            const shown = getShownValues(task);
+            if (shown.startDate) {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Inicio:</span>
+                    <span>\${formatDate(shown.startDate)}</span>
+                </div>\`;
+            }
+            
+            if (shown.endDate) {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Fin:</span>
+                    <span>\${formatDate(shown.endDate)}</span>
+                </div>\`;
+            }
+            
+            if (task.rollup && (task.rollup.startMismatch || task.rollup.endMismatch)) {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">En el archivo:</span>
+                    <span style="color: #f0b27a;">\${formatDate(task.startDate)} - \${formatDate(task.endDate)}</span>
+                </div>\`;
+            }
+            
+            if (shown.dias) {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Duración:</span>
+                    <span>\${shown.dias} días</span>
+                </div>\`;
+            }
+            
+            const progress = getTaskProgress(task);
+            if (progress !== null) {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">% completado:</span>
+                    <span>\${progress}%</span>
+                </div>\`;
+            }
+            
+            if (shown.restante !== null) {
+                const restanteText = shown.restante < 0 ? 
+                    \`<span style="color: #ff6b6b;">Vencido hace \${Math.abs(shown.restante)} días</span>\` : 
+                    \`\${shown.restante} días restantes\`;
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Tiempo restante:</span>
+                    <span>\${restanteText}</span>
+                </div>\`;
+            }
+            
+            if (task.status) {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Estado:</span>
+                    <span>\${task.status}</span>
+                </div>\`;
+            }
+            
+            if (task.dependencies) {
+                // Name, type and lag of each parsed link; the raw text when nothing could be parsed
+                const links = (task.links || []).map(link => {
+                    const predecessor = ganttData.find(t => t.id === link.id);
+                    return (predecessor ? \`\${predecessor.taskName} (\${link.id})\` : link.id) + ' ' + formatLinkLabel(link);
+                });
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Dependencias:</span>
+                    <span>\${links.length > 0 ? links.join('<br>') : task.dependencies}</span>
+                </div>\`;
+            }
+            
+            if (showCriticalPath && task.cpm) {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Inicio temprano / tardío:</span>
+                    <span>\${formatDate(task.cpm.earlyStart)} / \${formatDate(task.cpm.lateStart)}</span>
+                </div>
+                <div class="tooltip-row">
+                    <span class="tooltip-label">Holgura total:</span>
+                    <span>\${task.cpm.totalFloat} días\${task.cpm.critical ? ' (crítica)' : ''}</span>
+                </div>\`;
+            }
+            
+            const baseline = getTaskBaseline(task);
+            if (baseline) {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Línea base:</span>
+                    <span>\${formatDate(baseline.start) || '—'} - \${formatDate(baseline.end) || '—'}</span>
+                </div>\`;
+                const variance = diffDays(baseline.end, task.endDate);
+                if (variance !== null) {
+                    html += \`<div class="tooltip-row">
+                        <span class="tooltip-label">Variación fin:</span>
+                        <span>\${variance > 0 ? '+' : ''}\${variance} días</span>
+                    </div>\`;
+                }
+            }
+            
+            const change = getTaskChange(task);
+            if (change && change.kind === 'added') {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Comparación:</span>
+                    <span>Tarea nueva</span>
+                </div>\`;
+            } else if (change) {
+                html += \`<div class="tooltip-row">
+                    <span class="tooltip-label">Antes:</span>
+                    <span>\${formatDate(change.base.startDate) || '—'} - \${formatDate(change.base.endDate) || '—'}</span>
+                </div>\`;
+                if (change.delta) {
+                    html += \`<div class="tooltip-row">
+                        <span class="tooltip-label">Desplazamiento:</span>
+                        <span>\${change.delta > 0 ? '+' : ''}\${change.delta} días</span>
+                    </div>\`;
+                }
+            }
+            
+            tooltip.innerHTML = html;
+            tooltip.style.display = 'block';
+            
+            // Position tooltip
+            const rect = event.target.getBoundingClientRect();
+            tooltip.style.left = rect.left + 'px';
+            tooltip.style.top = (rect.bottom + 5) + 'px';
+            
+            // Adjust if tooltip goes off screen
+            setTimeout(() => {
+                const tooltipRect = tooltip.getBoundingClientRect();
+                if (tooltipRect.right > window.innerWidth) {
+                    tooltip.style.left = (window.innerWidth - tooltipRect.width - 10) + 'px';
+                }
+                if (tooltipRect.bottom > window.innerHeight) {
+                    tooltip.style.top = (rect.top - tooltipRect.height - 5) + 'px';
+                }
+            }, 0);
         }
         
-        .gantt-bar.task {
-            background: #70AD47;
+        // Hide tooltip
+        function hideTooltip() {
+            document.getElementById('tooltip').style.display = 'none';
         }
         
-        .gantt-bar.subtask {
-            background: #FFC000;
-            height: 16px;
-            top: 5px;
+        // Sync scroll between panels
+        function syncScroll() {
+            const taskPanel = document.getElementById('taskPanel');
+            const ganttPanel = document.getElementById('ganttPanel');
+            
+            let syncing = false;
+            
+            // Ensure both panels start at the same position
+            taskPanel.scrollTop = 0;
+            ganttPanel.scrollTop = 0;
+            
+            taskPanel.addEventListener('scroll', () => {
+                if (!syncing) {
+                    syncing = true;
+                    ganttPanel.scrollTop = taskPanel.scrollTop;
+                    requestAnimationFrame(() => { syncing = false; });
+                }
+            });
+            
+            ganttPanel.addEventListener('scroll', () => {
+                if (!syncing) {
+                    syncing = true;
+                    taskPanel.scrollTop = ganttPanel.scrollTop;
+                    requestAnimationFrame(() => { syncing = false; });
+                }
+            });
         }
         
-        .gantt-bar.overdue {
-            background: #e74c3c;
+        // Collapse or expand the rows under a task
+        function toggleTask(taskId) {
+            expandedStates[taskId] = expandedStates[taskId] === false;
+            const expanded = expandedStates[taskId];
+            
+            // Update expand icon
+            const icon = document.querySelector(\`.task-row[data-task-id="\${taskId}"] .expand-icon\`);
+            if (icon) {
+                icon.textContent = expanded ? '▼' : '▶';
+                icon.classList.toggle('collapsed', !expanded);
+            }
+            
+            // Show/hide the descendants; ones under another collapsed row stay hidden
+            ganttData.forEach((task, index) => {
+                if ((task.ancestorIds || []).includes(taskId)) {
+                    const taskRow = document.querySelector(\`.task-row[data-index="\${index}"]\`);
+                    const ganttRow = document.querySelector(\`.gantt-row[data-index="\${index}"]\`);
+                    
+                    if (taskRow) taskRow.classList.toggle('collapsed', isTaskHidden(task));
+                    if (ganttRow) ganttRow.classList.toggle('collapsed', isTaskHidden(task));
+                }
+            });
+            
+            // Re-render dependencies when expanding/collapsing
+            setTimeout(() => {
+                renderDependencies();
+            }, 100);
         }
         
-        .gantt-bar.due-soon {
-            background: #f39c12;
+        // Select task
+        function selectTask(taskId, index) {
+            selectedTaskIndex = index;
+            
+            // Remove previous selection
+            document.querySelectorAll('.task-row').forEach(row => {
+                row.style.background = '';
+            });
+            
+            // Add selection
+            const taskRow = document.querySelector(\`.task-row[data-index="\${index}"]\`);
+            if (taskRow && !taskRow.classList.contains('project')) {
+                taskRow.style.background = '#d4e8f7';
+            }
         }
         
-        .gantt-bar.no-dates {
-            background: #95a5a6;
-            border: 2px dashed #7f8c8d;
+        // Expand every row with children
+        function expandAll() {
+            expandedStates = {};
+            renderGantt();
         }
         
-        /* Today Line */
-        .today-line {
-            position: absolute;
-            top: 0;
-            bottom: 0;
-            width: 2px;
-            background: #e74c3c;
-            z-index: 5;
-            pointer-events: none;
+        // Collapse every row with children
+        function collapseAll() {
+            ganttData.forEach(task => {
+                if (task.hasChildren) expandedStates[task.id] = false;
+            });
+            renderGantt();
         }
         
-        .today-label {
-            position: absolute;
-            top: -20px;
-            left: -20px;
-            background: #e74c3c;
-            color: white;
-            padding: 2px 8px;
-            font-size: 10px;
-            border-radius: 3px;
-            white-space: nowrap;
+        // Reset view
+        function resetView() {
+            const ganttPanel = document.getElementById('ganttPanel');
+            ganttPanel.scrollLeft = 0;
+            ganttPanel.scrollTop = 0;
+            
+            // Scroll to today
+            const daysSinceStart = Math.floor((today - minDate) / (1000 * 60 * 60 * 24));
+            const scrollPosition = (daysSinceStart * dayWidth) - (ganttPanel.offsetWidth / 2);
+            ganttPanel.scrollLeft = Math.max(0, scrollPosition);
         }
         
-        /* Grid Lines */
-        .grid-lines {
-            position: absolute;
-            top: 0;
-            bottom: 0;
-            left: 0;
-            right: 0;
-            pointer-events: none;
+        // Download the shown schedule as MS Project XML
+        async function exportMsProjectXml() {
+            try {
+                const query = currentVersion ? '?version=' + encodeURIComponent(currentVersion) : '';
+                const response = await authFetch(API_ENDPOINT + '/export.xml' + query);
+                
+                if (!response.ok) {
+                    const result = await response.json();
+                    throw new Error(result.error || 'No se pudo exportar');
+                }
+                
+                downloadBlob(await response.blob(), SCHEDULE_NAME + '.xml');
+            } catch (error) {
+                console.error('Export error:', error);
+                alert('Error al exportar: ' + error.message);
+            }
         }
         
-        .grid-line {
-            position: absolute;
-            top: 0;
-            bottom: 0;
-            width: 1px;
-            background: #f0f0f0;
+        // Show the iCalendar feed URL to subscribe from a calendar app
+        function showCalendarFeed() {
+            const assignee = prompt('Filtrar por persona asignada (deje vacío para todas las tareas):', '');
+            if (assignee === null) return;
+            
+            const params = new URLSearchParams();
+            if (assignee.trim()) params.set('assignee', assignee.trim());
+            
+            // Calendar apps cannot send headers, so the key goes in the URL
+            const token = localStorage.getItem(AUTH_STORAGE_KEY);
+            if (token) params.set('access_token', token);
+            
+            const query = params.toString();
+            const url = API_ENDPOINT + '/calendar.ics' + (query ? '?' + query : '');
+            prompt('Copie esta URL en su aplicación de calendario (suscripción por URL):', url);
         }
         
-        .grid-line.week {
-            background: #e0e0e0;
+        // Open the print dialog with the schedule's date range preselected
+        function showPrintDialog() {
+            const dates = ganttData
+                .flatMap(task => [task.startDate, task.endDate])
+                .filter(date => date && !isNaN(date));
+            const from = dates.length ? new Date(Math.min(...dates)) : today;
+            const to = dates.length ? new Date(Math.max(...dates)) : today;
+            
+            document.getElementById('printFrom').value = toIsoDateString(from);
+            document.getElementById('printTo').value = toIsoDateString(to);
+            document.getElementById('printDialog').style.display = 'flex';
         }
         
-        .grid-line.month {
-            background: #ccc;
+        function closePrintDialog() {
+            document.getElementById('printDialog').style.display = 'none';
         }
         
-        /* Dependency lines */
-        .dependency-container {
-            position: absolute;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            pointer-events: none;
-            z-index: 1;
-        }
-
-        .dependency-line {
-            stroke: #666;
-            stroke-width: 2;
-            fill: none;
-            marker-end: url(#arrowhead);
-            opacity: 0.6;
+        // Lay the visible rows and the chosen date range out on pages and print them
+        function printGantt() {
+            const from = parseIsoDate(document.getElementById('printFrom').value);
+            const to = parseIsoDate(document.getElementById('printTo').value);
+            if (!from || !to || to < from) {
+                alert('Seleccione un rango de fechas válido');
+                return;
+            }
+            
+            const rows = ganttData.filter(task => !isTaskHidden(task));
+            if (rows.length === 0) {
+                alert('No hay tareas visibles para imprimir');
+                return;
+            }
+            
+            // Printable area of the sheet in CSS pixels
+            const paper = PAPER_SIZES[document.getElementById('printPaper').value];
+            const landscape = document.getElementById('printOrientation').value === 'landscape';
+            const paperWidth = landscape ? paper.height : paper.width;
+            const paperHeight = landscape ? paper.width : paper.height;
+            const pageWidth = Math.floor((paperWidth - 2 * PRINT_MARGIN_MM) * PX_PER_MM) - 2;
+            const pageHeight = Math.floor((paperHeight - 2 * PRINT_MARGIN_MM) * PX_PER_MM) - 2;
+            const pxPerDay = Number(document.getElementById('printScale').value);
+            
+            document.getElementById('printPageStyle').textContent =
+                \`@page { size: \${paperWidth}mm \${paperHeight}mm; margin: \${PRINT_MARGIN_MM}mm; }\`;
+            
+            // Title block, timeline header and legend take fixed space on every page
+            const gridWidth = PRINT_NAME_WIDTH + 2 * PRINT_DATE_WIDTH;
+            const rowsPerPage = Math.max(1, Math.floor((pageHeight - 40 - 60 - 28 - 4) / rowHeight));
+            const daysPerPage = Math.max(7, Math.floor((pageWidth - gridWidth - 4) / pxPerDay));
+            const totalDays = Math.round((to - from) / (1000 * 60 * 60 * 24)) + 1;
+            
+            // Tile down the rows first, then across the time slices
+            const pages = [];
+            for (let first = 0; first < rows.length; first += rowsPerPage) {
+                for (let offset = 0; offset < totalDays; offset += daysPerPage) {
+                    const sliceStart = new Date(from);
+                    sliceStart.setDate(sliceStart.getDate() + offset);
+                    pages.push({
+                        tasks: rows.slice(first, first + rowsPerPage),
+                        sliceStart,
+                        days: Math.min(daysPerPage, totalDays - offset)
+                    });
+                }
+            }
+            
+            const printArea = document.getElementById('printArea');
+            printArea.innerHTML = '';
+            pages.forEach((page, index) => {
+                printArea.appendChild(createPrintPage(page, {
+                    pageNumber: index + 1,
+                    pageCount: pages.length,
+                    width: pageWidth,
+                    height: pageHeight,
+                    pxPerDay,
+                    from,
+                    to
+                }));
+            });
+            
+            closePrintDialog();
+            document.body.classList.add('printing');
+            window.print();
         }
         
-        .dependency-line:hover {
-            stroke: #333;
-            stroke-width: 3;
-            opacity: 1;
+        // Build one printed page: title block, task grid, timeline slice and legend
+        function createPrintPage(page, options) {
+            const pageDiv = document.createElement('div');
+            pageDiv.className = 'print-page';
+            pageDiv.style.width = options.width + 'px';
+            pageDiv.style.height = options.height + 'px';
+            
+            // Title block
+            const title = document.createElement('div');
+            title.className = 'print-title';
+            const heading = document.createElement('h2');
+            heading.textContent = 'Diagrama de Gantt - ' + document.getElementById('projectTitle').textContent;
+            const info = document.createElement('div');
+            info.className = 'print-title-info';
+            info.innerHTML = \`Cronograma: \${SCHEDULE_NAME} · \${formatDate(options.from)} – \${formatDate(options.to)}<br>\` +
+                \`Página \${options.pageNumber} de \${options.pageCount} · Impreso el \${formatDate(new Date())}\`;
+            title.appendChild(heading);
+            title.appendChild(info);
+            pageDiv.appendChild(title);
+            
+            const body = document.createElement('div');
+            body.className = 'print-body';
+            
+            // Task grid, repeated on every page
+            const names = document.createElement('div');
+            names.className = 'print-names';
+            const namesHeader = document.createElement('div');
+            namesHeader.className = 'print-names-header';
+            namesHeader.innerHTML = \`<div style="width: \${PRINT_NAME_WIDTH}px">Nombre de Tarea</div>\` +
+                \`<div style="width: \${PRINT_DATE_WIDTH}px">Inicio</div>\` +
+                \`<div style="width: \${PRINT_DATE_WIDTH}px">Fin</div>\`;
+            names.appendChild(namesHeader);
+            
+            // Timeline slice
+            const chart = document.createElement('div');
+            chart.className = 'print-chart';
+            chart.style.flex = '0 0 ' + (page.days * options.pxPerDay) + 'px';
+            const timelineHeader = document.createElement('div');
+            timelineHeader.className = 'timeline-header';
+            renderTimeline(timelineHeader, page.days, page.sliceStart, options.pxPerDay);
+            chart.appendChild(timelineHeader);
+            
+            page.tasks.forEach(task => {
+                const nameRow = document.createElement('div');
+                nameRow.className = \`print-name-row \${task.type.toLowerCase()}\`;
+                const nameCell = document.createElement('div');
+                nameCell.style.width = PRINT_NAME_WIDTH + 'px';
+                nameCell.style.paddingLeft = (5 + (task.depth || 0) * 15) + 'px';
+                nameCell.textContent = task.taskName;
+                const startCell = document.createElement('div');
+                startCell.style.width = PRINT_DATE_WIDTH + 'px';
+                startCell.textContent = formatDate(getShownValues(task).startDate);
+                const endCell = document.createElement('div');
+                endCell.style.width = PRINT_DATE_WIDTH + 'px';
+                endCell.textContent = formatDate(getShownValues(task).endDate);
+                nameRow.appendChild(nameCell);
+                nameRow.appendChild(startCell);
+                nameRow.appendChild(endCell);
+                names.appendChild(nameRow);
+                
+                const row = document.createElement('div');
+                row.className = 'print-row';
+                const geometry = getBarGeometry(task, page.sliceStart, options.pxPerDay);
+                if (geometry && geometry.left + geometry.width > 0 && geometry.left < page.days * options.pxPerDay) {
+                    const bar = document.createElement('div');
+                    bar.className = 'gantt-bar ' + geometry.classes.join(' ');
+                    if (showCriticalPath && task.cpm && task.cpm.critical) {
+                        bar.classList.add('critical');
+                    }
+                    bar.style.left = geometry.left + 'px';
+                    bar.style.width = geometry.width + 'px';
+                    if (geometry.width > 100 && !task.rollup) {
+                        bar.textContent = task.taskName;
+                    }
+                    appendProgressFill(bar, task);
+                    row.appendChild(bar);
+                }
+                chart.appendChild(row);
+            });
+            
+            // Today line when it falls inside the slice
+            const todayOffset = Math.floor((today - page.sliceStart) / (1000 * 60 * 60 * 24));
+            if (todayOffset >= 0 && todayOffset < page.days) {
+                const todayLine = document.createElement('div');
+                todayLine.className = 'today-line';
+                todayLine.style.left = (todayOffset * options.pxPerDay) + 'px';
+                todayLine.style.top = '60px';
+                todayLine.style.height = (page.tasks.length * rowHeight) + 'px';
+                chart.appendChild(todayLine);
+            }
+            
+            body.appendChild(names);
+            body.appendChild(chart);
+            pageDiv.appendChild(body);
+            
+            // Legend (dependency arrows are not drawn on paper)
+            const legend = document.createElement('div');
+            legend.className = 'print-legend';
+            legend.innerHTML = document.querySelector('.legend').innerHTML;
+            legend.querySelectorAll('.legend-dependencies').forEach(item => item.remove());
+            pageDiv.appendChild(legend);
+            
+            return pageDiv;
         }
         
-        /* Tooltip */
-        .tooltip {
-            position: absolute;
-            background: rgba(0, 0, 0, 0.9);
-            color: white;
-            padding: 12px 15px;
-            border-radius: 5px;
-            font-size: 12px;
-            pointer-events: none;
-            z-index: 1000;
-            display: none;
-            max-width: 350px;
-            box-shadow: 0 4px 8px rgba(0,0,0,0.3);
-        }
+        // Leave print mode once the browser dialog closes
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing');
+            document.getElementById('printArea').innerHTML = '';
+        });
         
-        .tooltip-title {
-            font-weight: bold;
-            margin-bottom: 8px;
-            font-size: 14px;
-            border-bottom: 1px solid rgba(255,255,255,0.3);
-            padding-bottom: 5px;
+        function showImageDialog() {
+            document.getElementById('imageDialog').style.display = 'flex';
         }
         
-        .tooltip-row {
-            margin: 4px 0;
-            display: flex;
-            justify-content: space-between;
-            gap: 10px;
+        function closeImageDialog() {
+            document.getElementById('imageDialog').style.display = 'none';
         }
         
-        .tooltip-label {
-            font-weight: 600;
-            color: #ccc;
+        // Export the visible rows at the current zoom as an SVG or PNG file
+        async function exportImage() {
+            const format = document.getElementById('imageFormat').value;
+            const ganttPanel = document.getElementById('ganttPanel');
+            const totalDays = Math.ceil((maxDate - minDate) / (1000 * 60 * 60 * 24));
+            
+            // Whole timeline, or only the days scrolled into view
+            let firstDay = 0;
+            let days = totalDays;
+            if (document.getElementById('imageRange').value === 'visible') {
+                firstDay = Math.floor(ganttPanel.scrollLeft / dayWidth);
+                days = Math.min(totalDays - firstDay, Math.ceil(ganttPanel.clientWidth / dayWidth) || totalDays);
+            }
+            
+            const startDate = new Date(minDate);
+            startDate.setDate(startDate.getDate() + firstDay);
+            const svgText = buildGanttSvg(startDate, days);
+            const fileName = SCHEDULE_NAME + '-gantt.' + format;
+            
+            closeImageDialog();
+            try {
+                if (format === 'png') {
+                    const scale = Number(document.getElementById('imageScale').value);
+                    downloadBlob(await renderSvgToPng(svgText, scale), fileName);
+                } else {
+                    downloadBlob(new Blob([svgText], { type: 'image/svg+xml' }), fileName);
+                }
+            } catch (error) {
+                console.error('Image export error:', error);
+                alert('Error al exportar la imagen: ' + error.message);
+            }
         }
         
-        /* Loading */
-        .loading {
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: white;
-            padding: 30px 50px;
-            border-radius: 10px;
-            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
-            z-index: 2000;
-            text-align: center;
+        // Draw the visible rows, timeline, bars, dependencies and today line as standalone SVG markup
+        function buildGanttSvg(startDate, days) {
+            const tasks = ganttData.filter(task => !isTaskHidden(task));
+            const chartWidth = days * dayWidth;
+            const width = IMAGE_NAME_WIDTH + chartWidth;
+            const rowsTop = IMAGE_TITLE_HEIGHT + IMAGE_HEADER_HEIGHT;
+            const height = rowsTop + tasks.length * rowHeight;
+            const parts = [];
+            
+            parts.push(\`<svg xmlns="http://www.w3.org/2000/svg" width="\${width}" height="\${height}" viewBox="0 0 \${width} \${height}" font-family="Segoe UI, Arial, sans-serif">\`);
+            parts.push(\`<defs><marker id="arrowhead" markerWidth="10" markerHeight="7" refX="9" refY="3.5" orient="auto" fill="#666"><polygon points="0 0, 10 3.5, 0 7" /></marker>\` +
+                \`<marker id="arrowhead-critical" markerWidth="10" markerHeight="7" refX="9" refY="3.5" orient="auto" fill="#c0392b"><polygon points="0 0, 10 3.5, 0 7" /></marker></defs>\`);
+            parts.push(\`<rect width="\${width}" height="\${height}" fill="white" />\`);
+            
+            // Title block
+            const title = 'Diagrama de Gantt - ' + document.getElementById('projectTitle').textContent;
+            parts.push(\`<text x="10" y="26" font-size="16" font-weight="bold" fill="#333">\${escapeXml(title)}</text>\`);
+            parts.push(\`<text x="\${width - 10}" y="26" font-size="11" fill="#666" text-anchor="end">\${escapeXml(SCHEDULE_NAME + ' · ' + formatDate(today))}</text>\`);
+            
+            // Task name column
+            parts.push(\`<rect x="0" y="\${IMAGE_TITLE_HEIGHT}" width="\${IMAGE_NAME_WIDTH}" height="\${IMAGE_HEADER_HEIGHT}" fill="#e0e0e0" />\`);
+            parts.push(\`<text x="8" y="\${rowsTop - 10}" font-size="12" font-weight="bold" fill="#333">Nombre de Tarea</text>\`);
+            tasks.forEach((task, row) => {
+                const y = rowsTop + row * rowHeight;
+                if (task.type === 'Project') {
+                    parts.push(\`<rect x="0" y="\${y}" width="\${IMAGE_NAME_WIDTH}" height="\${rowHeight - 1}" fill="#4472C4" />\`);
+                }
+                parts.push(\`<svg x="0" y="\${y}" width="\${IMAGE_NAME_WIDTH - 4}" height="\${rowHeight}">\` +
+                    \`<text x="\${8 + (task.depth || 0) * 15}" y="18" font-size="12"\` +
+                    (task.type === 'Project' ? ' font-weight="bold" fill="white"' : ' fill="#333"') +
+                    \`>\${escapeXml(task.taskName)}</text></svg>\`);
+                parts.push(\`<line x1="0" y1="\${y + rowHeight - 0.5}" x2="\${width}" y2="\${y + rowHeight - 0.5}" stroke="#e0e0e0" />\`);
+            });
+            parts.push(\`<line x1="\${IMAGE_NAME_WIDTH}" y1="\${IMAGE_TITLE_HEIGHT}" x2="\${IMAGE_NAME_WIDTH}" y2="\${height}" stroke="#ccc" stroke-width="2" />\`);
+            
+            // Chart area, clipped to the exported date range
+            parts.push(\`<svg x="\${IMAGE_NAME_WIDTH}" y="\${IMAGE_TITLE_HEIGHT}" width="\${chartWidth}" height="\${height - IMAGE_TITLE_HEIGHT}">\`);
+            parts.push(buildTimelineSvg(startDate, days));
+            
+            parts.push(\`<g transform="translate(0, \${IMAGE_HEADER_HEIGHT})">\`);
+            const geometries = tasks.map(task => getBarGeometry(task, startDate, dayWidth));
+            
+            // Dependency arrows between visible rows
+            const rowById = new Map(tasks.map((task, row) => [task.id, row]));
+            tasks.forEach((task, toRow) => {
+                if (!geometries[toRow]) return;
+                (task.links || []).forEach(link => {
+                    const fromRow = rowById.get(link.id);
+                    if (fromRow === undefined || !geometries[fromRow] || !hasLinkDates(link, tasks[fromRow], task)) return;
+                    const d = getDependencyPath(geometries[fromRow], fromRow, geometries[toRow], toRow, link.type);
+                    const critical = showCriticalPath && isCriticalLink(tasks[fromRow], task, link);
+                    parts.push(critical ?
+                        \`<path d="\${d}" stroke="#c0392b" stroke-width="2" fill="none" opacity="0.9" marker-end="url(#arrowhead-critical)" />\` :
+                        \`<path d="\${d}" stroke="#666" stroke-width="2" fill="none" opacity="0.6" marker-end="url(#arrowhead)" />\`);
+                });
+            });
+            
+            // Bars
+            tasks.forEach((task, row) => {
+                const geometry = geometries[row];
+                if (!geometry) return;
+                const shape = IMAGE_BAR_SHAPES[geometry.classes[0]] || IMAGE_BAR_SHAPES.task;
+                const status = geometry.classes.find(name => IMAGE_STATUS_FILLS[name]);
+                const critical = showCriticalPath && task.cpm && task.cpm.critical;
+                const fill = critical ? '#c0392b' : status ? IMAGE_STATUS_FILLS[status] : shape.fill;
+                const y = row * rowHeight + shape.top;
+                const progress = getTaskProgress(task);
+                if (task.rollup) {
+                    parts.push(getSummaryBracketSvg(geometry, row * rowHeight, IMAGE_SUMMARY_FILLS[geometry.classes[0]] || IMAGE_SUMMARY_FILLS.task));
+                    if (progress) {
+                        parts.push(\`<rect x="\${geometry.left}" y="\${row * rowHeight + 6}" width="\${geometry.width * progress / 100}" height="7" fill="black" fill-opacity="0.28" />\`);
+                    }
+                    return;
+                }
+                const dashed = geometry.classes.includes('no-dates') ? ' stroke="#7f8c8d" stroke-width="2" stroke-dasharray="4 2"' : '';
+                parts.push(\`<rect x="\${geometry.left}" y="\${y}" width="\${geometry.width}" height="\${shape.height}" rx="3" fill="\${fill}"\${dashed} />\`);
+                if (progress) {
+                    parts.push(\`<rect x="\${geometry.left}" y="\${y}" width="\${geometry.width * progress / 100}" height="\${shape.height}" rx="3" fill="black" fill-opacity="0.28" />\`);
+                }
+                if (geometry.width > 100) {
+                    parts.push(\`<svg x="\${geometry.left}" y="\${y}" width="\${geometry.width - 4}" height="\${shape.height}">\` +
+                        \`<text x="4" y="\${shape.height / 2 + 3.5}" font-size="10" fill="white"\${task.type === 'Project' ? ' font-weight="bold"' : ''}>\${escapeXml(task.taskName)}</text></svg>\`);
+                }
+            });
+            
+            // Today line
+            const todayOffset = Math.floor((today - startDate) / (1000 * 60 * 60 * 24));
+            if (todayOffset >= 0 && todayOffset < days) {
+                const x = todayOffset * dayWidth;
+                parts.push(\`<rect x="\${x}" y="0" width="2" height="\${tasks.length * rowHeight}" fill="#e74c3c" />\`);
+            }
+            
+            if (showProgressLine) {
+                parts.push(\`<path d="\${getProgressLinePath(tasks, startDate, dayWidth)}" stroke="#8e44ad" stroke-width="2" fill="none" />\`);
+            }
+            
+            parts.push('</g></svg></svg>');
+            return parts.join('\\n');
         }
         
-        .loading-spinner {
-            width: 40px;
-            height: 40px;
-            border: 4px solid #f3f3f3;
-            border-top: 4px solid #4472C4;
-            border-radius: 50%;
-            animation: spin 1s linear infinite;
-            margin: 0 auto 20px;
+        // MS Project-style summary bar: a thin bar with a downward tip at each end
+        function getSummaryBracketSvg(geometry, rowTop, fill) {
+            const left = geometry.left;
+            const right = geometry.left + geometry.width;
+            const top = rowTop + 6;
+            const bottom = top + 7;
+            const tip = Math.min(6, geometry.width / 2);
+            return \`<path d="M \${left} \${top} H \${right} V \${bottom + 6} L \${right - tip} \${bottom} H \${left + tip} L \${left} \${bottom + 6} Z" fill="\${fill}" />\`;
         }
         
-        @keyframes spin {
-            0% { transform: rotate(0deg); }
-            100% { transform: rotate(360deg); }
+        // Month and day rows of the timeline header as SVG
+        function buildTimelineSvg(startDate, days) {
+            const parts = [\`<rect width="\${days * dayWidth}" height="\${IMAGE_HEADER_HEIGHT}" fill="#e0e0e0" />\`];
+            const currentDate = new Date(startDate);
+            let monthStart = 0;
+            
+            for (let i = 0; i <= days; i++) {
+                // Close the month label when the month changes or the range ends
+                if (i === days || (i > 0 && currentDate.getDate() === 1)) {
+                    const monthDate = new Date(currentDate);
+                    monthDate.setDate(monthDate.getDate() - 1);
+                    const x = monthStart * dayWidth;
+                    const monthWidth = (i - monthStart) * dayWidth;
+                    parts.push(\`<rect x="\${x}" y="0" width="\${monthWidth}" height="30" fill="#f0f0f0" stroke="#ccc" />\`);
+                    parts.push(\`<svg x="\${x}" y="0" width="\${monthWidth}" height="30"><text x="\${monthWidth / 2}" y="19" font-size="12" font-weight="bold" text-anchor="middle" fill="#333">\` +
+                        \`\${getMonthName(monthDate.getMonth())} \${monthDate.getFullYear()}</text></svg>\`);
+                    monthStart = i;
+                }
+                if (i === days) break;
+                
+                const x = i * dayWidth;
+                const isWeekend = currentDate.getDay() === 0 || currentDate.getDay() === 6;
+                const isToday = currentDate.toDateString() === today.toDateString();
+                const fill = isToday ? '#ffe6e6' : (isWeekend ? '#f5f5f5' : '#e0e0e0');
+                parts.push(\`<rect x="\${x}" y="30" width="\${dayWidth}" height="30" fill="\${fill}" stroke="#ddd" />\`);
+                if (dayWidth >= 12) {
+                    parts.push(\`<text x="\${x + dayWidth / 2}" y="49" font-size="10" text-anchor="middle" fill="#333"\${isToday ? ' font-weight="bold"' : ''}>\${currentDate.getDate()}</text>\`);
+                }
+                
+                currentDate.setDate(currentDate.getDate() + 1);
+            }
+            
+            return parts.join('\\n');
         }
         
-        /* Legend */
-        .legend {
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            background: white;
-            padding: 15px;
-            border-radius: 8px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-            font-size: 12px;
+        // Rasterize SVG markup through a canvas
+        function renderSvgToPng(svgText, scale) {
+            return new Promise((resolve, reject) => {
+                const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+                const image = new Image();
+                image.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = image.width * scale;
+                    canvas.height = image.height * scale;
+                    const context = canvas.getContext('2d');
+                    context.scale(scale, scale);
+                    context.drawImage(image, 0, 0);
+                    URL.revokeObjectURL(url);
+                    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('La imagen es demasiado grande')), 'image/png');
+                };
+                image.onerror = () => {
+                    URL.revokeObjectURL(url);
+                    reject(new Error('No se pudo generar la imagen'));
+                };
+                image.src = url;
+            });
         }
         
-        .legend-title {
-            font-weight: bold;
-            margin-bottom: 10px;
+        // Escape text for XML/SVG markup
+        function escapeXml(value) {
+            return String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
         }
         
-        .legend-item {
-            display: flex;
-            align-items: center;
-            margin: 5px 0;
+        // Show or hide an optional task panel column
+        function setColumnVisible(name, visible) {
+            if (visible) {
+                visibleColumns.add(name);
+            } else {
+                visibleColumns.delete(name);
+            }
+            document.getElementById('taskPanel').classList.toggle('show-' + name, visible);
+            updateTaskPanelWidth();
         }
         
-        .legend-color {
-            width: 20px;
-            height: 14px;
-            margin-right: 8px;
-            border-radius: 3px;
+        // Widen the task panel by the visible optional columns
+        function updateTaskPanelWidth() {
+            const extra = OPTIONAL_COLUMNS
+                .filter(column => visibleColumns.has(column.name))
+                .reduce((sum, column) => sum + column.width, 0);
+            document.getElementById('taskPanel').style.width = (BASE_TASK_PANEL_WIDTH + extra) + 'px';
         }
         
-        .error-message {
-            color: #e74c3c;
-            margin-top: 10px;
-            font-size: 14px;
+        // Days the end date moved against the compared version
+        function renderDeltaCell(task, cell) {
+            const change = getTaskChange(task);
+            if (!change) return;
+            
+            if (change.kind === 'added') {
+                cell.textContent = 'nueva';
+            } else if (change.delta) {
+                cell.textContent = (change.delta > 0 ? '+' : '') + change.delta;
+            } else {
+                cell.textContent = '0';
+            }
+            cell.classList.add(change.kind);
         }
         
-        .success-message {
-            color: #28a745;
-            margin-top: 10px;
-            font-size: 14px;
+        function getTaskChange(task) {
+            return compareState && task.id ? compareState.changes.get(String(task.id)) || null : null;
         }
-    </style>
-    <script src="https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js"></script>
-</head>
-<body>
-    <!-- File Upload Screen -->
-    <div class="upload-container" id="uploadContainer">
-        <div class="upload-box">
-            <h1>📊 MS Project Style Gantt Chart</h1>
-            <p>Cargue su archivo Excel de Proyectos Abiertos para visualizarlo como un diagrama de Gantt interactivo</p>
-            
-            <div class="file-input-wrapper">
-                <input type="file" id="fileInput" accept=".xlsx,.xls" />
-                <label for="fileInput" class="file-input-label" id="fileInputLabel">
-                    Seleccionar Archivo Excel
-                </label>
-            </div>
-            
-            <div class="file-info">
-                Formatos soportados: .xlsx, .xls
-            </div>
+        
+        // Fill the version pickers and open the compare dialog
+        async function showCompareDialog() {
+            const target = document.getElementById('compareTarget');
+            const base = document.getElementById('compareBase');
+            target.innerHTML = '<option value="">Vista actual</option>';
+            base.innerHTML = '';
             
-            <button class="load-existing-btn" id="loadExistingBtn" onclick="loadExistingFile()">
-                Cargar Archivo Existente
-            </button>
+            try {
+                const response = await authFetch(API_ENDPOINT + '/versions');
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.error || 'No se pudieron cargar las versiones');
+                }
+                
+                result.versions.forEach(version => {
+                    const label = formatVersionDate(version.id) + (version.note ? ' - ' + version.note : '');
+                    target.add(new Option(label, version.id));
+                    base.add(new Option(label, version.id));
+                });
+            } catch (error) {
+                console.error('Error loading versions:', error);
+            }
             
-            <div id="uploadMessage"></div>
-        </div>
-    </div>
-    
-    <!-- Main Container -->
-    <div class="container" id="container">
-        <div class="header">
-            <h1>📊 Diagrama de Gantt - <span id="projectTitle">Proyectos Abiertos</span></h1>
-            <div class="header-buttons">
-                <button class="header-button" onclick="expandAll()">Expandir Todo</button>
-                <button class="header-button" onclick="collapseAll()">Colapsar Todo</button>
-                <button class="header-button" onclick="resetView()">Vista Inicial</button>
-                <button class="header-button" onclick="loadNewFile()">Cargar Otro Archivo</button>
-            </div>
-        </div>
-        
-        <div class="main-content">
-            <div class="task-panel" id="taskPanel">
-                <div class="task-header">
-                    <div class="col-task-name">Nombre de Tarea</div>
-                    <div class="col-duration">Días</div>
-                    <div class="col-start">Inicio</div>
-                    <div class="col-end">Fin</div>
-                    <div class="col-remaining">Restante</div>
-                    <div class="col-assigned">Asignado a</div>
-                </div>
-                <div id="taskList"></div>
-            </div>
+            base.add(new Option('Archivo local...', 'file'));
             
-            <div class="gantt-panel" id="ganttPanel">
-                <div class="gantt-container" id="ganttContainer">
-                    <div class="timeline-header" id="timelineHeader"></div>
-                    <div class="gantt-rows" id="ganttRows">
-                        <div class="grid-lines" id="gridLines"></div>
-                        <div class="today-line" id="todayLine">
-                            <div class="today-label">HOY</div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-        
-        <!-- Legend -->
-        <div class="legend">
-            <div class="legend-title">Leyenda</div>
-            <div class="legend-item">
-                <div class="legend-color" style="background: #4472C4;"></div>
-                <span>Proyecto</span>
-            </div>
-            <div class="legend-item">
-                <div class="legend-color" style="background: #70AD47;"></div>
-                <span>Tarea</span>
-            </div>
-            <div class="legend-item">
-                <div class="legend-color" style="background: #FFC000;"></div>
-                <span>Subtarea</span>
-            </div>
-            <div class="legend-item">
-                <div class="legend-color" style="background: #e74c3c;"></div>
-                <span>Vencida</span>
-            </div>
-            <div class="legend-item">
-                <div class="legend-color" style="background: #f39c12;"></div>
-                <span>Próxima a vencer</span>
-            </div>
-            <div class="legend-item">
-                <div class="legend-color" style="background: #666;"></div>
-                <span>→ Dependencias</span>
-            </div>
-        </div>
-    </div>
-    
-    <!-- Loading Screen -->
-    <div class="loading" id="loading" style="display: none;">
-        <div class="loading-spinner"></div>
-        <div>Procesando archivo Excel...</div>
-    </div>
-    
-    <!-- Tooltip -->
-    <div class="tooltip" id="tooltip"></div>
-    
-    <script>
-        // Global variables
-        let ganttData = [];
-        let minDate, maxDate;
-        let dayWidth = 30;
-        const rowHeight = 28; // Must match CSS: 27px height + 1px border = 28px total
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        let projectStates = {}; // Track expanded/collapsed state
+            // Default to the version right before the one on screen
+            const ids = Array.from(base.options).map(option => option.value);
+            const shownIndex = currentVersion ? ids.indexOf(currentVersion) : 0;
+            base.selectedIndex = Math.min(shownIndex + 1, ids.length - 1);
+            document.getElementById('compareFileRow').style.display = base.value === 'file' ? 'flex' : 'none';
+            document.getElementById('compareDialog').style.display = 'flex';
+        }
         
-        // Get API endpoint from current URL
-        const API_ENDPOINT = window.location.origin + window.location.pathname.replace(/\\/$/, '');
+        function closeCompareDialog() {
+            document.getElementById('compareDialog').style.display = 'none';
+        }
         
-        // File input handler
-        document.getElementById('fileInput').addEventListener('change', function(event) {
-            const file = event.target.files[0];
-            if (file) {
-                uploadFile(file);
+        // Load both sides and switch the chart to compare mode
+        async function startCompare() {
+            const targetVersion = document.getElementById('compareTarget').value;
+            const baseValue = document.getElementById('compareBase').value;
+            const baseFile = document.getElementById('compareFile').files[0];
+            
+            if (baseValue === 'file' && !baseFile) {
+                alert('Seleccione un archivo para comparar');
+                return;
             }
-        });
-        
-        // Upload file to Lambda
-        async function uploadFile(file) {
-            const label = document.getElementById('fileInputLabel');
-            const message = document.getElementById('uploadMessage');
             
-            label.textContent = 'Subiendo archivo...';
-            label.classList.add('loading');
-            message.innerHTML = '';
+            closeCompareDialog();
+            document.getElementById('loading').style.display = 'block';
             
             try {
-                // Read file as base64
-                const reader = new FileReader();
-                reader.onload = async function(e) {
-                    const base64 = btoa(String.fromCharCode(...new Uint8Array(e.target.result)));
-                    
-                    // Send to Lambda
-                    const response = await fetch(API_ENDPOINT + '/upload', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({ file: base64 })
-                    });
-                    
-                    const result = await response.json();
-                    
-                    if (response.ok && result.success) {
-                        message.innerHTML = '<div class="success-message">Archivo subido exitosamente!</div>';
-                        setTimeout(() => {
-                            loadExistingFile();
-                        }, 1000);
-                    } else {
-                        throw new Error(result.error || 'Error al subir archivo');
-                    }
-                };
-                reader.readAsArrayBuffer(file);
+                let baseTasks, label;
+                if (baseValue === 'file') {
+                    baseTasks = parseTaskRows(readSheetRows(await baseFile.arrayBuffer()).rows);
+                    label = baseFile.name;
+                } else {
+                    baseTasks = await fetchScheduleTasks(baseValue);
+                    label = 'versión ' + formatVersionDate(baseValue);
+                }
+                
+                // Show the newer side first when it is not the one on screen
+                if (targetVersion && targetVersion !== currentVersion) {
+                    compareState = null;
+                    await loadExistingFile(targetVersion);
+                }
                 
+                applyComparison(baseTasks, label);
             } catch (error) {
-                console.error('Upload error:', error);
-                message.innerHTML = '<div class="error-message">Error: ' + error.message + '</div>';
-                label.textContent = 'Seleccionar Archivo Excel';
-                label.classList.remove('loading');
+                console.error('Compare error:', error);
+                alert('Error al comparar: ' + error.message);
+            } finally {
+                document.getElementById('loading').style.display = 'none';
             }
         }
         
-        // Load existing file from S3
-        async function loadExistingFile() {
-            document.getElementById('loading').style.display = 'block';
+        // Tasks of a stored version, parsed the same way as the chart on screen
+        async function fetchScheduleTasks(version) {
+            const query = '?version=' + encodeURIComponent(version);
             
-            try {
-                // Get download URL from Lambda
-                const response = await fetch(API_ENDPOINT + '/download');
+            if (LOAD_FROM_API) {
+                const response = await authFetch(API_ENDPOINT + '/api/tasks' + query);
                 const result = await response.json();
-                
                 if (!response.ok) {
                     throw new Error(result.error || 'No hay archivo disponible');
                 }
+                return result.tasks.map(parseApiTask);
+            }
+            
+            const response = await authFetch(API_ENDPOINT + '/download' + query);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'No hay archivo disponible');
+            }
+            
+            const fileResponse = await fetch(result.url);
+            return parseTaskRows(readSheetRows(await fileResponse.arrayBuffer()).rows);
+        }
+        
+        // Match the shown tasks to the older ones by ID and classify each change
+        function applyComparison(baseTasks, label) {
+            const baseById = new Map(baseTasks.filter(task => task.id).map(task => [String(task.id), task]));
+            const currentIds = new Set(ganttData.map(task => String(task.id)));
+            const changes = new Map();
+            
+            ganttData.forEach(task => {
+                if (!task.id) return;
+                const base = baseById.get(String(task.id));
                 
-                // Download file from S3
-                const fileResponse = await fetch(result.url);
-                const arrayBuffer = await fileResponse.arrayBuffer();
-                
-                // Process with SheetJS
-                const data = new Uint8Array(arrayBuffer);
-                const workbook = XLSX.read(data, {
-                    type: 'array',
-                    cellDates: true,
-                    cellNF: true,
-                    cellStyles: true
-                });
-                
-                // Find the right sheet
-                let sheetName = 'Proyectos Abiertos';
-                if (!workbook.Sheets[sheetName]) {
-                    sheetName = workbook.SheetNames[0];
+                if (!base) {
+                    changes.set(String(task.id), { kind: 'added', delta: null, base: null });
+                    return;
                 }
                 
-                // Read the sheet
-                const sheet = workbook.Sheets[sheetName];
-                const jsonData = XLSX.utils.sheet_to_json(sheet, {
-                    header: 1,
-                    raw: false,
-                    dateNF: 'yyyy-mm-dd'
-                });
-                
-                // Process the data
-                processExcelData(jsonData);
-                
-                // Update title
-                document.getElementById('projectTitle').textContent = sheetName;
-                
-                // Hide upload screen and show Gantt
-                document.getElementById('uploadContainer').style.display = 'none';
-                document.getElementById('container').style.display = 'flex';
-                document.getElementById('loading').style.display = 'none';
+                // Slip is measured on the end date, or the start date for tasks without one
+                let delta = diffDays(base.endDate, task.endDate);
+                if (delta === null) delta = diffDays(base.startDate, task.startDate);
                 
-            } catch (error) {
-                console.error('Error loading file:', error);
-                document.getElementById('loading').style.display = 'none';
-                document.getElementById('uploadMessage').innerHTML = 
-                    '<div class="error-message">Error: ' + error.message + '</div>';
+                const kind = delta > 0 ? 'slipped' : delta < 0 ? 'pulled-in' : 'unchanged';
+                changes.set(String(task.id), { kind, delta, base });
+            });
+            
+            compareState = {
+                label,
+                baseTasks,
+                changes,
+                deleted: baseTasks.filter(task => task.id && !currentIds.has(String(task.id)))
+            };
+            
+            setColumnVisible('delta', true);
+            calculateDateRange();
+            renderGantt();
+            renderCompareSummary();
+        }
+        
+        // Counts per kind of change and the deleted tasks, which have no row of their own
+        function renderCompareSummary() {
+            const summary = document.getElementById('compareSummary');
+            const counts = { slipped: 0, 'pulled-in': 0, added: 0 };
+            compareState.changes.forEach(change => {
+                if (change.kind in counts) counts[change.kind]++;
+            });
+            
+            let html = \`<div class="legend-title">Comparando con \${escapeXml(compareState.label)}</div>
+                <div class="legend-item"><div class="legend-color" style="background: #c0392b;"></div><span>Retrasadas: \${counts.slipped}</span></div>
+                <div class="legend-item"><div class="legend-color" style="background: #27ae60;"></div><span>Adelantadas: \${counts['pulled-in']}</span></div>
+                <div class="legend-item"><div class="legend-color" style="background: #2980b9;"></div><span>Nuevas: \${counts.added}</span></div>
+                <div class="legend-item"><div class="legend-color" style="background: #777;"></div><span>Eliminadas: \${compareState.deleted.length}</span></div>\`;
+            
+            if (compareState.deleted.length > 0) {
+                html += '<ul>' + compareState.deleted.map(task =>
+                    \`<li class="deleted-task">\${escapeXml(task.taskName)} (\${escapeXml(task.id)})</li>\`).join('') + '</ul>';
             }
+            
+            html += '<button onclick="exitCompare()">Salir de comparación</button>';
+            summary.innerHTML = html;
+            summary.style.display = 'block';
         }
         
-        // Process Excel data
-        function processExcelData(data) {
-            const headers = data[0];
-            ganttData = [];
+        function exitCompare() {
+            closeCompare();
+            calculateDateRange();
+            renderGantt();
+        }
+        
+        // Drop compare state without re-rendering
+        function closeCompare() {
+            compareState = null;
+            setColumnVisible('delta', false);
+            document.getElementById('compareSummary').style.display = 'none';
+        }
+        
+        // Baseline dates of a task: the sheet's Baseline Start/End columns, else the frozen baseline
+        function getTaskBaseline(task) {
+            if (task.baselineStart || task.baselineEnd) {
+                return { start: task.baselineStart, end: task.baselineEnd };
+            }
             
-            // Find column indices
-            const colIndices = {
-                level: headers.findIndex(h => h === 'Level'),
-                id: headers.findIndex(h => h === 'ID'),
-                taskName: headers.findIndex(h => h === 'Task Name'),
-                description: headers.findIndex(h => h === 'Descripción'),
-                startDate: headers.findIndex(h => h === 'Start Date'),
-                endDate: headers.findIndex(h => h === 'End Date'),
-                dias: headers.findIndex(h => h === 'Días'),
-                restante: headers.findIndex(h => h === 'Restante'),
-                assignedTo: headers.findIndex(h => h === 'Assigned To'),
-                dependencies: headers.findIndex(h => h === 'Dependencies'),
-                status: headers.findIndex(h => h === 'Status'),
-                type: headers.findIndex(h => h === 'Type')
-            };
+            const frozen = savedBaseline && task.id ? savedBaseline.dates.get(String(task.id)) : null;
+            return frozen && (frozen.start || frozen.end) ? frozen : null;
+        }
+        
+        // Days the end date moved against the baseline
+        function renderVarianceCell(task, cell) {
+            const baseline = getTaskBaseline(task);
+            const variance = baseline ? diffDays(baseline.end, task.endDate) : null;
+            if (variance === null) return;
             
-            // Process rows
-            for (let i = 1; i < data.length; i++) {
-                const row = data[i];
-                if (!row || row.length === 0) continue;
+            cell.textContent = (variance > 0 ? '+' : '') + variance;
+            if (variance > 0) cell.classList.add('late');
+            if (variance < 0) cell.classList.add('early');
+        }
+        
+        // Fetch the baseline frozen for this schedule, if any
+        async function loadBaseline() {
+            savedBaseline = null;
+            
+            try {
+                const response = await authFetch(API_ENDPOINT + '/baseline');
+                if (!response.ok) return; // 404 when no baseline was saved
                 
-                const task = {
-                    level: parseInt(row[colIndices.level]) || 0,
-                    id: row[colIndices.id] || '',
-                    taskName: row[colIndices.taskName] || '',
-                    description: row[colIndices.description] || '',
-                    startDate: parseDate(row[colIndices.startDate]),
-                    endDate: parseDate(row[colIndices.endDate]),
-                    dias: parseInt(row[colIndices.dias]) || 0,
-                    restante: row[colIndices.restante] !== '' ? parseInt(row[colIndices.restante]) : null,
-                    assignedTo: row[colIndices.assignedTo] || '',
-                    dependencies: row[colIndices.dependencies] || '',
-                    status: row[colIndices.status] || '',
-                    type: row[colIndices.type] || '',
-                    rowIndex: i - 1,
-                    projectId: null
+                const result = await response.json();
+                savedBaseline = {
+                    name: result.name,
+                    version: result.version,
+                    savedAt: result.savedAt,
+                    dates: new Map(result.tasks.map(task => [String(task.id), {
+                        start: parseIsoDate(task.startDate),
+                        end: parseIsoDate(task.endDate)
+                    }]))
                 };
+            } catch (error) {
+                console.error('Error loading baseline:', error);
+            }
+        }
+        
+        function showBaselineDialog() {
+            const info = document.getElementById('baselineInfo');
+            const fromColumns = ganttData.some(task => task.baselineStart || task.baselineEnd);
+            
+            if (savedBaseline) {
+                info.textContent = \`\${savedBaseline.name}: guardada el \${formatDateTime(new Date(savedBaseline.savedAt))}\` +
+                    (savedBaseline.version ? \` desde la versión \${formatVersionDate(savedBaseline.version)}\` : '') + '.';
+            } else {
+                info.textContent = 'No hay una línea base guardada.';
+            }
+            if (fromColumns) {
+                info.textContent += ' Las columnas Baseline Start / Baseline End del archivo tienen prioridad.';
+            }
+            
+            document.getElementById('baselineColumns').checked = visibleColumns.has('variance');
+            document.getElementById('baselineDialog').style.display = 'flex';
+        }
+        
+        function closeBaselineDialog() {
+            document.getElementById('baselineDialog').style.display = 'none';
+        }
+        
+        function setBaselineColumnsVisible(visible) {
+            ['baseline-start', 'baseline-end', 'variance'].forEach(name => setColumnVisible(name, visible));
+        }
+        
+        // Freeze the version on screen as the schedule's baseline
+        async function freezeBaseline() {
+            if (savedBaseline && !confirm(\`¿Reemplazar la línea base "\${savedBaseline.name}"?\`)) return;
+            
+            try {
+                const response = await authFetch(API_ENDPOINT + '/baseline', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ version: currentVersion })
+                });
+                const result = await response.json();
                 
-                // Assign project ID
-                if (task.type === 'Project') {
-                    task.projectId = task.id;
-                    projectStates[task.id] = true; // Expanded by default
-                } else if (ganttData.length > 0) {
-                    // Find parent project
-                    for (let j = ganttData.length - 1; j >= 0; j--) {
-                        if (ganttData[j].type === 'Project') {
-                            task.projectId = ganttData[j].id;
-                            break;
-                        }
-                    }
+                if (!response.ok) {
+                    throw new Error(result.error || 'No se pudo guardar la línea base');
                 }
                 
-                ganttData.push(task);
+                await loadBaseline();
+                calculateDateRange();
+                renderGantt();
+                showBaselineDialog();
+            } catch (error) {
+                console.error('Baseline error:', error);
+                alert('Error al guardar la línea base: ' + error.message);
             }
+        }
+        
+        // Forward/backward pass per project: early/late dates, total float and the critical path in task.cpm
+        function calculateCriticalPath() {
+            const projects = new Map();
             
-            // Calculate date range
-            calculateDateRange();
+            ganttData.forEach(task => {
+                task.cpm = null;
+                
+                // Summary rows and undated tasks are not part of the network
+                if (task.type === 'Project' || task.hasChildren || !task.startDate || !task.endDate) return;
+                
+                const key = task.projectId || '';
+                if (!projects.has(key)) projects.set(key, []);
+                projects.get(key).push(task);
+            });
             
-            // Render the Gantt chart
-            renderGantt();
+            projects.forEach(calculateProjectCriticalPath);
         }
         
-        // Parse date from various formats
-        function parseDate(dateValue) {
-            if (!dateValue) return null;
+        function calculateProjectCriticalPath(tasks) {
+            const origin = new Date(Math.min(...tasks.map(task => task.startDate)));
+            const nodes = new Map();
             
-            // If it's already a Date object
-            if (dateValue instanceof Date) {
-                return isNaN(dateValue) ? null : dateValue;
+            tasks.forEach(task => {
+                if (!task.id) return;
+                nodes.set(String(task.id), {
+                    task,
+                    start: diffDays(origin, task.startDate),
+                    duration: Math.max(1, diffDays(task.startDate, task.endDate) + 1),
+                    predecessors: [],
+                    successors: []
+                });
+            });
+            
+            // Links to tasks outside the project are ignored
+            nodes.forEach(node => {
+                (node.task.links || []).forEach(link => {
+                    const predecessor = nodes.get(String(link.id));
+                    if (predecessor && predecessor !== node) {
+                        node.predecessors.push({ node: predecessor, link });
+                        predecessor.successors.push({ node, link });
+                    }
+                });
+            });
+            
+            // Topological order (Kahn); tasks caught in a cycle are left without results
+            const order = [];
+            const pending = new Map();
+            nodes.forEach(node => pending.set(node, node.predecessors.length));
+            const ready = Array.from(nodes.values()).filter(node => node.predecessors.length === 0);
+            while (ready.length > 0) {
+                const node = ready.shift();
+                order.push(node);
+                node.successors.forEach(({ node: successor }) => {
+                    pending.set(successor, pending.get(successor) - 1);
+                    if (pending.get(successor) === 0) ready.push(successor);
+                });
             }
             
-            // Try parsing as string
-            const date = new Date(dateValue);
-            return isNaN(date) ? null : date;
+            // Forward pass: a task starts on its own date or as soon as its links allow
+            order.forEach(node => {
+                node.es = node.predecessors.reduce((es, { node: predecessor, link }) =>
+                    Math.max(es, getLinkEarlyStart(link, predecessor.es, predecessor.ef, node.duration)), node.start);
+                node.ef = node.es + node.duration - 1;
+            });
+            
+            // Backward pass from the project finish
+            const finish = Math.max(...order.map(node => node.ef));
+            order.slice().reverse().forEach(node => {
+                node.lf = node.successors.reduce((lf, { node: successor, link }) =>
+                    Math.min(lf, getLinkLateFinish(link, successor.ls, successor.lf, node.duration)), finish);
+                node.ls = node.lf - node.duration + 1;
+            });
+            
+            const toDate = offset => {
+                const date = new Date(origin);
+                date.setDate(date.getDate() + offset);
+                return date;
+            };
+            
+            order.forEach(node => {
+                const totalFloat = node.ls - node.es;
+                node.task.cpm = {
+                    earlyStart: toDate(node.es),
+                    earlyFinish: toDate(node.ef),
+                    lateStart: toDate(node.ls),
+                    lateFinish: toDate(node.lf),
+                    totalFloat,
+                    critical: totalFloat <= 0
+                };
+            });
         }
         
-        // Calculate date range
-        function calculateDateRange() {
-            const dates = ganttData
-                .flatMap(task => [task.startDate, task.endDate])
-                .filter(date => date && !isNaN(date));
-            
-            if (dates.length === 0) {
-                minDate = new Date();
-                maxDate = new Date();
-                maxDate.setMonth(maxDate.getMonth() + 6);
-            } else {
-                minDate = new Date(Math.min(...dates));
-                maxDate = new Date(Math.max(...dates));
+        // Earliest start (day offset) a link allows the successor; finish days are inclusive
+        function getLinkEarlyStart(link, predecessorStart, predecessorFinish, duration) {
+            switch (link.type) {
+                case 'SS': return predecessorStart + link.lag;
+                case 'FF': return predecessorFinish + link.lag - duration + 1;
+                case 'SF': return predecessorStart + link.lag - duration;
+                default: return predecessorFinish + 1 + link.lag;
             }
-            
-            // Add padding
-            minDate.setDate(minDate.getDate() - 30);
-            maxDate.setDate(maxDate.getDate() + 60);
         }
         
-        // Render the Gantt chart
-        function renderGantt() {
-            const taskList = document.getElementById('taskList');
-            const ganttRows = document.getElementById('ganttRows');
-            const timelineHeader = document.getElementById('timelineHeader');
+        // Latest finish (day offset) a link allows the predecessor
+        function getLinkLateFinish(link, successorStart, successorFinish, duration) {
+            switch (link.type) {
+                case 'SS': return successorStart - link.lag + duration - 1;
+                case 'FF': return successorFinish - link.lag;
+                case 'SF': return successorFinish - link.lag + duration;
+                default: return successorStart - 1 - link.lag;
+            }
+        }
+        
+        // A link is critical when both tasks are and the predecessor drives the successor's start
+        function isCriticalLink(fromTask, toTask, link) {
+            if (!fromTask.cpm || !toTask.cpm || !fromTask.cpm.critical || !toTask.cpm.critical) return false;
             
-            // Clear existing content
-            taskList.innerHTML = '';
-            ganttRows.innerHTML = \`
-                <svg class="dependency-container" id="dependencyContainer" style="position: absolute; top: 0; left: 0; pointer-events: none; z-index: 1;">
-                    <defs>
-                        <marker id="arrowhead" markerWidth="10" markerHeight="7" 
-                                refX="9" refY="3.5" orient="auto" fill="#666">
-                            <polygon points="0 0, 10 3.5, 0 7" />
-                        </marker>
-                    </defs>
-                </svg>
-                <div class="grid-lines" id="gridLines" style="position: absolute; top: 0; left: 0; right: 0; bottom: 0; pointer-events: none;"></div>
-                <div class="today-line" id="todayLine" style="position: absolute; top: 0; width: 2px; background: #e74c3c; z-index: 5; pointer-events: none;">
-                    <div class="today-label">HOY</div>
-                </div>
-            \`;
-            timelineHeader.innerHTML = '';
+            // Offsets relative to the predecessor's early start
+            const fromFinish = diffDays(fromTask.cpm.earlyStart, fromTask.cpm.earlyFinish);
+            const toStart = diffDays(fromTask.cpm.earlyStart, toTask.cpm.earlyStart);
+            const toDuration = diffDays(toTask.cpm.earlyStart, toTask.cpm.earlyFinish) + 1;
+            return getLinkEarlyStart(link, 0, fromFinish, toDuration) === toStart;
+        }
+        
+        function renderFloatCell(task, cell) {
+            if (!task.cpm) return;
+            cell.textContent = task.cpm.totalFloat;
+            if (task.cpm.critical) cell.classList.add('critical');
+        }
+        
+        // Paint critical bars and arrows and show the float column
+        function toggleCriticalPath() {
+            showCriticalPath = !showCriticalPath;
+            document.getElementById('criticalPathButton').classList.toggle('active', showCriticalPath);
+            document.querySelector('.legend-critical').style.display = showCriticalPath ? 'flex' : 'none';
+            setColumnVisible('float', showCriticalPath);
+            renderGantt();
+        }
+        
+        // Find links to missing IDs, circular chains, violated links and links to tasks without dates
+        function checkDependencies() {
+            const issues = [];
+            const warnings = new Set();
+            const indexById = new Map();
+            ganttData.forEach((task, index) => {
+                if (task.id) indexById.set(String(task.id), index);
+            });
             
-            // Calculate total days
-            const totalDays = Math.ceil((maxDate - minDate) / (1000 * 60 * 60 * 24));
+            ganttData.forEach((task, index) => {
+                (task.links || []).forEach(link => {
+                    const fromIndex = indexById.get(link.id);
+                    
+                    if (fromIndex === undefined) {
+                        issues.push({
+                            kind: 'missing', index,
+                            message: \`"\${task.taskName}" depende del ID \${link.id}, que no existe\`
+                        });
+                        return;
+                    }
+                    
+                    const predecessor = ganttData[fromIndex];
+                    if (!hasLinkDates(link, predecessor, task)) {
+                        issues.push({
+                            kind: 'no-dates', index,
+                            message: \`"\${task.taskName}" depende de "\${predecessor.taskName}" (\${formatLinkLabel(link)}), pero faltan fechas para comprobarlo\`
+                        });
+                        return;
+                    }
+                    
+                    const shortfall = getLinkShortfall(link, predecessor, task);
+                    if (shortfall > 0) {
+                        warnings.add(predecessor.id + '>' + task.id);
+                        issues.push({
+                            kind: 'violation', index,
+                            message: \`"\${task.taskName}" comienza \${shortfall} día(s) antes de lo que permite "\${predecessor.taskName}" (\${formatLinkLabel(link)})\`
+                        });
+                    }
+                });
+            });
             
-            // Set container width
-            const ganttContainer = document.getElementById('ganttContainer');
-            ganttContainer.style.minWidth = (totalDays * dayWidth) + 'px';
+            findDependencyCycles(indexById).forEach(cycle => {
+                cycle.forEach((index, position) => {
+                    const next = ganttData[cycle[(position + 1) % cycle.length]];
+                    warnings.add(ganttData[index].id + '>' + next.id);
+                });
+                issues.push({
+                    kind: 'cycle', index: cycle[0],
+                    message: 'Dependencia circular: ' + cycle.concat(cycle[0]).map(index => \`"\${ganttData[index].taskName}" (\${ganttData[index].id})\`).join(' → ')
+                });
+            });
             
-            // Render timeline header
-            renderTimeline(timelineHeader, totalDays);
+            dependencyIssues = issues;
+            warningLinks = warnings;
+            renderIssuesPanel();
+        }
+        
+        // Days the successor starts too early for a link (0 or less when the link is respected)
+        function getLinkShortfall(link, fromTask, toTask) {
+            const fromStart = fromTask.startDate || fromTask.endDate;
+            const fromFinish = fromTask.endDate || fromTask.startDate;
+            const toStart = toTask.startDate || toTask.endDate;
+            const toFinish = toTask.endDate || toTask.startDate;
             
-            // Render grid lines
-            renderGridLines(totalDays);
+            // Offsets relative to the predecessor's start
+            const required = getLinkEarlyStart(link, 0, diffDays(fromStart, fromFinish), diffDays(toStart, toFinish) + 1);
+            return required - diffDays(fromStart, toStart);
+        }
+        
+        // Circular chains as lists of task indexes, each reported once (depth-first search)
+        function findDependencyCycles(indexById) {
+            const cycles = [];
+            const state = new Map(); // index -> 'visiting' | 'done'
+            const stack = [];
             
-            // Position today line
-            positionTodayLine();
+            const visit = index => {
+                state.set(index, 'visiting');
+                stack.push(index);
+                
+                (ganttData[index].links || []).forEach(link => {
+                    const next = indexById.get(link.id);
+                    if (next === undefined) return;
+                    
+                    if (state.get(next) === 'visiting') {
+                        cycles.push(stack.slice(stack.indexOf(next)).reverse());
+                    } else if (!state.has(next)) {
+                        visit(next);
+                    }
+                });
+                
+                stack.pop();
+                state.set(index, 'done');
+            };
             
-            // Render tasks
             ganttData.forEach((task, index) => {
-                // Create task row in left panel
-                const taskRow = createTaskRow(task, index);
-                taskList.appendChild(taskRow);
-                
-                // Create gantt row
-                const ganttRow = createGanttRow(task, index);
-                ganttRows.appendChild(ganttRow);
+                if (!state.has(index)) visit(index);
             });
             
-            // Sync scroll between panels
-            syncScroll();
+            return cycles;
+        }
+        
+        function renderIssuesPanel() {
+            const button = document.getElementById('issuesButton');
+            button.textContent = dependencyIssues.length > 0 ? \`⚠ Dependencias (\${dependencyIssues.length})\` : 'Dependencias';
+            button.classList.toggle('has-issues', dependencyIssues.length > 0);
             
-            // Render dependencies after a short delay to ensure DOM is ready
-            setTimeout(() => {
-                renderDependencies();
-            }, 100);
+            const panel = document.getElementById('issuesPanel');
+            const kindLabels = { missing: 'ID inexistente', cycle: 'Circular', violation: 'No respetada', 'no-dates': 'Sin fechas' };
+            
+            let html = \`<div class="issues-title"><span>Revisión de dependencias</span><button onclick="toggleIssuesPanel()">✕</button></div>\`;
+            if (dependencyIssues.length === 0) {
+                html += '<div class="issue-item">No se encontraron problemas en las dependencias.</div>';
+            }
+            dependencyIssues.forEach(issue => {
+                html += \`<div class="issue-item" onclick="jumpToTask(\${issue.index})">\` +
+                    \`<span class="issue-kind \${issue.kind}">\${kindLabels[issue.kind]}</span>\${escapeXml(issue.message)}</div>\`;
+            });
+            panel.innerHTML = html;
         }
         
-        // Create task row for left panel
-        function createTaskRow(task, index) {
-            const row = document.createElement('div');
-            row.className = \`task-row \${task.type.toLowerCase()} level-\${task.level}\`;
-            row.dataset.taskId = task.id;
-            row.dataset.index = index;
+        function toggleIssuesPanel() {
+            const panel = document.getElementById('issuesPanel');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        }
+        
+        // Expand the rows above the task, scroll its row and bar into view and select it
+        function jumpToTask(index) {
+            const task = ganttData[index];
+            if (!task) return;
             
-            // Check if should be collapsed
-            if (task.type !== 'Project' && task.projectId && !projectStates[task.projectId]) {
-                row.classList.add('collapsed');
+            if (isTaskHidden(task)) {
+                task.ancestorIds.forEach(id => delete expandedStates[id]);
+                renderGantt();
             }
             
-            // Task name
-            const taskName = document.createElement('div');
-            taskName.className = 'task-name';
+            const visibleRow = ganttData.slice(0, index).filter(t => !isTaskHidden(t)).length;
+            const taskPanel = document.getElementById('taskPanel');
+            taskPanel.scrollTop = Math.max(0, visibleRow * rowHeight - taskPanel.clientHeight / 2);
             
-            if (task.type === 'Project') {
-                const expandIcon = document.createElement('span');
-                expandIcon.className = 'expand-icon';
-                expandIcon.textContent = projectStates[task.id] ? '▼' : '▶';
-                if (!projectStates[task.id]) {
-                    expandIcon.classList.add('collapsed');
-                }
-                expandIcon.onclick = (e) => {
-                    e.stopPropagation();
-                    toggleProject(task.id);
-                };
-                taskName.appendChild(expandIcon);
+            const geometry = getBarGeometry(task, minDate, dayWidth);
+            if (geometry) {
+                const ganttPanel = document.getElementById('ganttPanel');
+                ganttPanel.scrollLeft = Math.max(0, geometry.left - 100);
             }
             
-            const nameText = document.createElement('span');
-            nameText.textContent = task.taskName;
-            taskName.appendChild(nameText);
+            selectTask(task.id, index);
+        }
+        
+        // Give a task new dates and let auto-scheduling move its successors and roll up the projects.
+        // Nothing is final until the changes are accepted in the review panel.
+        function rescheduleTask(index, startDate, endDate) {
+            const task = ganttData[index];
+            if (!task || !startDate || !endDate || endDate < startDate) return;
             
-            // Duration
-            const duration = document.createElement('div');
-            duration.className = 'task-duration';
-            duration.textContent = task.dias || '';
+            // Project and summary dates are rolled up from their tasks, like in the schedule dialog
+            if (task.type === 'Project' || task.hasChildren) {
+                alert('Las fechas de un resumen salen de sus tareas: cambie las fechas de las tareas que contiene');
+                renderGantt();
+                return;
+            }
             
-            // Start date
-            const startDate = document.createElement('div');
-            startDate.className = 'task-start';
-            startDate.textContent = task.startDate ? formatDate(task.startDate) : '';
+            // Consecutive edits are reviewed together against the dates before the first one
+            if (!pendingSchedule) pendingSchedule = new Map();
+            const remember = changed => {
+                if (!pendingSchedule.has(changed)) {
+                    pendingSchedule.set(changed, {
+                        startDate: changed.startDate,
+                        endDate: changed.endDate,
+                        dias: changed.dias,
+                        restante: changed.restante
+                    });
+                }
+            };
             
-            // End date
-            const endDate = document.createElement('div');
-            endDate.className = 'task-end';
-            endDate.textContent = task.endDate ? formatDate(task.endDate) : '';
+            remember(task);
+            setTaskDates(task, startDate, endDate);
+            scheduleSuccessors(task, remember);
+            rollUpSummaries(remember);
             
-            // Remaining days
-            const remaining = document.createElement('div');
-            remaining.className = 'task-remaining';
-            if (task.restante !== null) {
-                remaining.textContent = task.restante;
-                if (task.restante < 0) {
-                    remaining.classList.add('overdue');
-                } else if (task.restante <= 3) {
-                    remaining.classList.add('due-soon');
-                }
+            calculateDateRange();
+            renderGantt();
+            renderSchedulePanel();
+        }
+        
+        // New dates with Días recalculated and Restante moved along with the end date
+        function setTaskDates(task, startDate, endDate) {
+            if (task.restante !== null && task.endDate) {
+                task.restante += diffDays(task.endDate, endDate);
             }
+            task.startDate = startDate;
+            task.endDate = endDate;
+            task.dias = diffDays(startDate, endDate) + 1;
+        }
+        
+        // Move successors to the earliest start their links and lags allow (like auto-scheduled tasks in MS Project):
+        // later when a predecessor grows or moves later, earlier when it shrinks or moves earlier.
+        // Pinned tasks, Projects and undated tasks stay put.
+        // A link into a summary row moves the tasks under it, and a summary is linked by its roll-up dates.
+        function scheduleSuccessors(movedTask, remember) {
+            const successorsById = new Map();
+            ganttData.forEach(task => {
+                (task.links || []).forEach(link => {
+                    if (!successorsById.has(link.id)) successorsById.set(link.id, []);
+                    successorsById.get(link.id).push(task);
+                });
+            });
+            const taskById = new Map(ganttData.filter(task => task.id).map(task => [String(task.id), task]));
+            calculateRollups(ganttData);
             
-            // Assigned to
-            const assigned = document.createElement('div');
-            assigned.className = 'task-assigned';
-            assigned.textContent = task.assignedTo || '-';
-            assigned.title = task.assignedTo || 'No asignado'; // Tooltip for full name
+            // A cycle would push forever; no task can need more moves than there are tasks
+            const moves = new Map();
+            const queue = [movedTask];
+            while (queue.length > 0) {
+                const predecessor = queue.shift();
+                
+                (successorsById.get(String(predecessor.id)) || []).forEach(successor => {
+                    const dates = getShownValues(successor);
+                    if (successor.pinned || successor.type === 'Project' || !dates.startDate || !dates.endDate) return;
+                    if ((moves.get(successor) || 0) >= ganttData.length) return;
+                    
+                    const earliest = getEarliestStart(successor, taskById);
+                    const shift = earliest ? diffDays(dates.startDate, earliest) : 0;
+                    if (shift === 0) return;
+                    
+                    const index = ganttData.indexOf(successor);
+                    const moved = successor.hasChildren ?
+                        ganttData.slice(index + 1, getBlockEnd(index)).filter(task => !task.hasChildren && !task.pinned && task.startDate && task.endDate) :
+                        [successor];
+                    moved.forEach(task => {
+                        remember(task);
+                        setTaskDates(task, addDays(task.startDate, shift), addDays(task.endDate, shift));
+                    });
+                    calculateRollups(ganttData);
+                    
+                    moves.set(successor, (moves.get(successor) || 0) + 1);
+                    queue.push(...new Set([successor, ...moved]));
+                });
+            }
+        }
+        
+        // Earliest start all of a task's links allow (null when no predecessor has dates)
+        function getEarliestStart(task, taskById) {
+            const dates = getShownValues(task);
+            const duration = diffDays(dates.startDate, dates.endDate) + 1;
+            let earliest = null;
             
-            row.appendChild(taskName);
-            row.appendChild(duration);
-            row.appendChild(startDate);
-            row.appendChild(endDate);
-            row.appendChild(remaining);
-            row.appendChild(assigned);
+            (task.links || []).forEach(link => {
+                const predecessor = taskById.get(link.id);
+                const from = predecessor && getShownValues(predecessor);
+                if (!predecessor || predecessor === task || !from.startDate || !from.endDate) return;
+                
+                // A summary already spans its own tasks; a link between them cannot push either one
+                if (task.ancestorIds.includes(predecessor.id) || predecessor.ancestorIds.includes(task.id)) return;
+                
+                const offset = getLinkEarlyStart(link, 0, diffDays(from.startDate, from.endDate), duration);
+                const start = addDays(from.startDate, offset);
+                if (!earliest || start > earliest) earliest = start;
+            });
             
-            // Click handler
-            row.onclick = () => selectTask(task.id, index);
+            return earliest;
+        }
+        
+        // Write the roll-up into the summary rows above rescheduled tasks, so the saved sheet agrees with them
+        function rollUpSummaries(remember) {
+            calculateRollups(ganttData);
+            ganttData.forEach((summary, index) => {
+                const rollup = summary.rollup;
+                if (!rollup || !rollup.startDate || !rollup.endDate) return;
+                if (!ganttData.slice(index + 1, getBlockEnd(index)).some(isTaskRescheduled)) return;
+                if (diffDays(summary.startDate, rollup.startDate) === 0 && diffDays(summary.endDate, rollup.endDate) === 0) return;
+                
+                remember(summary);
+                setTaskDates(summary, rollup.startDate, rollup.endDate);
+            });
+        }
+        
+        function addDays(date, days) {
+            const result = new Date(date);
+            result.setDate(result.getDate() + days);
+            return result;
+        }
+        
+        // True if the task's dates differ from before the pending auto-scheduling
+        function isTaskRescheduled(task) {
+            const before = pendingSchedule && pendingSchedule.get(task);
+            return Boolean(before) && (diffDays(before.startDate, task.startDate) !== 0 || diffDays(before.endDate, task.endDate) !== 0);
+        }
+        
+        function renderSchedulePanel() {
+            const panel = document.getElementById('schedulePanel');
+            const changed = pendingSchedule ? ganttData.filter(isTaskRescheduled) : [];
             
-            return row;
+            // Pinned successors that were left behind (now reported as violations)
+            const pinnedBehind = new Set(dependencyIssues
+                .filter(issue => issue.kind === 'violation' && ganttData[issue.index].pinned)
+                .map(issue => ganttData[issue.index]));
+            
+            const describe = (before, after) => {
+                const shift = diffDays(before, after);
+                return \`\${formatDate(before) || '—'} → \${formatDate(after)}\` + (shift ? \` (\${shift > 0 ? '+' : ''}\${shift} d)\` : '');
+            };
+            
+            let html = \`<div class="issues-title"><span>Cambios de programación (\${changed.length})</span><button onclick="discardSchedule()">✕</button></div>\`;
+            html += '<div class="schedule-changes">';
+            if (changed.length === 0) {
+                html += '<div class="issue-item">Las fechas no cambiaron.</div>';
+            }
+            changed.forEach(task => {
+                const before = pendingSchedule.get(task);
+                html += \`<div class="issue-item schedule-change" onclick="jumpToTask(\${ganttData.indexOf(task)})">\` +
+                    \`<strong>\${escapeXml(task.taskName)}</strong><br>\` +
+                    \`Inicio: \${describe(before.startDate, task.startDate)}<br>\` +
+                    \`Fin: \${describe(before.endDate, task.endDate)} · \${task.dias} días</div>\`;
+            });
+            pinnedBehind.forEach(task => {
+                html += \`<div class="issue-item schedule-change" onclick="jumpToTask(\${ganttData.indexOf(task)})">\` +
+                    \`<strong>\${escapeXml(task.taskName)}</strong> <span class="pinned-note">fijada: no se movió y su dependencia queda sin respetar</span></div>\`;
+            });
+            html += '</div>';
+            html += \`<div class="modal-actions" style="padding: 10px 15px;">
+                <button onclick="discardSchedule()">Descartar</button>
+                <button class="primary" onclick="acceptSchedule()">Aceptar</button>
+            </div>\`;
+            
+            panel.innerHTML = html;
+            panel.style.display = pendingSchedule ? 'flex' : 'none';
+        }
+        
+        // Keep the new dates
+        function acceptSchedule() {
+            closeSchedule();
+            renderGantt();
+        }
+        
+        // Put every task back the way it was before the pending changes
+        function discardSchedule() {
+            if (pendingSchedule) {
+                pendingSchedule.forEach((before, task) => Object.assign(task, before));
+            }
+            closeSchedule();
+            calculateDateRange();
+            renderGantt();
         }
         
-        // Create Gantt row
-        function createGanttRow(task, index) {
-            const row = document.createElement('div');
-            row.className = \`gantt-row \${task.type.toLowerCase()}\`;
-            row.dataset.taskId = task.id;
-            row.dataset.index = index;
+        function closeSchedule() {
+            pendingSchedule = null;
+            document.getElementById('schedulePanel').style.display = 'none';
+        }
+        
+        function showScheduleDialog() {
+            const select = document.getElementById('scheduleTask');
+            select.innerHTML = '';
+            ganttData.forEach((task, index) => {
+                if (task.type === 'Project' || task.hasChildren) return;
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = \`\${task.id} · \${task.taskName}\` + (task.pinned ? ' (fijada)' : '');
+                select.appendChild(option);
+            });
             
-            // Check if should be collapsed
-            if (task.type !== 'Project' && task.projectId && !projectStates[task.projectId]) {
-                row.classList.add('collapsed');
+            if (selectedTaskIndex !== null && select.querySelector(\`option[value="\${selectedTaskIndex}"]\`)) {
+                select.value = selectedTaskIndex;
             }
+            fillScheduleDates();
+            document.getElementById('scheduleDialog').style.display = 'flex';
+        }
+        
+        function closeScheduleDialog() {
+            document.getElementById('scheduleDialog').style.display = 'none';
+        }
+        
+        function fillScheduleDates() {
+            const task = ganttData[document.getElementById('scheduleTask').value];
+            document.getElementById('scheduleStart').value = task && task.startDate ? toIsoDateString(task.startDate) : '';
+            document.getElementById('scheduleEnd').value = task && task.endDate ? toIsoDateString(task.endDate) : '';
+        }
+        
+        function applyScheduleDialog() {
+            const index = parseInt(document.getElementById('scheduleTask').value);
+            const startDate = parseIsoDate(document.getElementById('scheduleStart').value);
+            const endDate = parseIsoDate(document.getElementById('scheduleEnd').value);
             
-            // Create Gantt bar if dates exist
-            if (task.startDate || task.endDate) {
-                const bar = createGanttBar(task);
-                if (bar) row.appendChild(bar);
+            if (!startDate || !endDate) {
+                alert('Indique las fechas de inicio y fin');
+                return;
+            }
+            if (endDate < startDate) {
+                alert('La fecha de fin no puede ser anterior al inicio');
+                return;
             }
             
-            return row;
+            closeScheduleDialog();
+            rescheduleTask(index, startDate, endDate);
         }
         
-        // Create Gantt bar
-        function createGanttBar(task) {
-            const bar = document.createElement('div');
-            bar.className = \`gantt-bar \${task.type.toLowerCase()}\`;
-            bar.dataset.taskId = task.id; // Add this for dependency rendering
+        // Editors can change the schedule (with auth off everyone is an editor)
+        function canEditSchedule() {
+            return Boolean(currentSession && currentSession.role === 'editor');
+        }
+        
+        // Drag the bar to move the task, or its edges to change the start or the end.
+        // Dropping it goes through auto-scheduling like any other date change.
+        function enableBarDragging(bar, task) {
+            bar.classList.add('editable');
+            ['start', 'end'].forEach(edge => {
+                const handle = document.createElement('div');
+                handle.className = 'bar-handle ' + edge;
+                handle.dataset.edge = edge;
+                bar.appendChild(handle);
+            });
             
-            let startDays, duration;
+            bar.onmousedown = (e) => {
+                if (e.button !== 0) return;
+                e.preventDefault();
+                hideTooltip();
+                
+                const mode = e.target.dataset.edge || 'move';
+                const originX = e.clientX;
+                const left = parseFloat(bar.style.left);
+                const width = parseFloat(bar.style.width);
+                const lastDay = Math.round(width / dayWidth) - 1;
+                let days = 0;
+                
+                const onMove = (moveEvent) => {
+                    days = Math.round((moveEvent.clientX - originX) / dayWidth);
+                    // A task keeps at least one day
+                    if (mode === 'start') days = Math.min(days, lastDay);
+                    if (mode === 'end') days = Math.max(days, -lastDay);
+                    
+                    bar.classList.add('dragging');
+                    bar.style.left = (mode === 'end' ? left : left + days * dayWidth) + 'px';
+                    bar.style.width = (mode === 'move' ? width : mode === 'start' ? width - days * dayWidth : width + days * dayWidth) + 'px';
+                };
+                
+                const onUp = () => {
+                    document.removeEventListener('mousemove', onMove);
+                    document.removeEventListener('mouseup', onUp);
+                    bar.classList.remove('dragging');
+                    if (days === 0) return;
+                    
+                    const startDate = mode === 'end' ? task.startDate : addDays(task.startDate, days);
+                    const endDate = mode === 'start' ? task.endDate : addDays(task.endDate, days);
+                    rescheduleTask(ganttData.indexOf(task), startDate, endDate);
+                };
+                
+                document.addEventListener('mousemove', onMove);
+                document.addEventListener('mouseup', onUp);
+            };
+        }
+        
+        function makeCellEditable(cell, task, field) {
+            cell.ondblclick = (e) => {
+                e.stopPropagation();
+                startCellEdit(cell, task, field);
+            };
+        }
+        
+        // Swap the cell text for an input; Enter or leaving the cell saves, Escape cancels
+        function startCellEdit(cell, task, field) {
+            const input = document.createElement('input');
+            input.className = 'cell-editor';
             
-            if (task.startDate && task.endDate) {
-                // Both dates exist
-                startDays = Math.floor((task.startDate - minDate) / (1000 * 60 * 60 * 24));
-                duration = Math.ceil((task.endDate - task.startDate) / (1000 * 60 * 60 * 24)) + 1;
-            } else if (task.startDate && !task.endDate) {
-                // Only start date
-                startDays = Math.floor((task.startDate - minDate) / (1000 * 60 * 60 * 24));
-                duration = 7; // Default 1 week
-                bar.classList.add('no-dates');
-            } else if (!task.startDate && task.endDate) {
-                // Only end date
-                duration = 7; // Default 1 week
-                startDays = Math.floor((task.endDate - minDate) / (1000 * 60 * 60 * 24)) - duration;
-                bar.classList.add('no-dates');
+            if (field === 'startDate' || field === 'endDate') {
+                input.type = 'date';
+                input.value = task[field] ? toIsoDateString(task[field]) : '';
+            } else if (field === 'dias') {
+                input.type = 'number';
+                input.min = 1;
+                input.value = task.dias || '';
             } else {
-                return null; // No dates
+                input.type = 'text';
+                input.value = task[field] || '';
             }
             
-            bar.style.left = (startDays * dayWidth) + 'px';
-            bar.style.width = (duration * dayWidth) + 'px';
-            
-            // Add status colors
-            if (task.restante !== null && task.restante < 0) {
-                bar.classList.add('overdue');
-            } else if (task.restante !== null && task.restante <= 3) {
-                bar.classList.add('due-soon');
+            if (field === 'status') {
+                const statuses = [...new Set(ganttData.map(t => t.status).filter(Boolean))];
+                document.getElementById('statusOptions').innerHTML = statuses.map(value => \`<option value="\${escapeXml(value)}">\`).join('');
+                input.setAttribute('list', 'statusOptions');
             }
             
-            // Add task name for wide bars
-            if (duration * dayWidth > 100) {
-                bar.textContent = task.taskName;
-            }
+            let finished = false;
+            const finish = (save) => {
+                if (finished) return;
+                finished = true;
+                if (save) {
+                    commitCellEdit(task, field, input.value);
+                } else {
+                    renderGantt();
+                }
+            };
             
-            // Tooltip
-            bar.onmouseover = (e) => showTooltip(e, task);
-            bar.onmouseout = hideTooltip;
+            input.onkeydown = (e) => {
+                if (e.key === 'Enter') finish(true);
+                if (e.key === 'Escape') finish(false);
+            };
+            input.onblur = () => finish(true);
+            input.onclick = (e) => e.stopPropagation();
             
-            return bar;
+            cell.textContent = '';
+            cell.appendChild(input);
+            input.focus();
         }
         
-        // Render dependencies
-        function renderDependencies() {
-            const svg = document.getElementById('dependencyContainer');
-            const ganttContainer = document.getElementById('ganttContainer');
+        // Apply an edited cell; date and Días changes are auto-scheduled
+        function commitCellEdit(task, field, value) {
+            const index = ganttData.indexOf(task);
             
-            // Clear existing lines
-            svg.querySelectorAll('path').forEach(path => path.remove());
+            if (field === 'startDate') {
+                // Moving the start keeps the duration
+                const startDate = parseIsoDate(value);
+                if (startDate) {
+                    const length = task.startDate && task.endDate ? diffDays(task.startDate, task.endDate) : Math.max(1, task.dias) - 1;
+                    return rescheduleTask(index, startDate, addDays(startDate, length));
+                }
+            } else if (field === 'endDate') {
+                const endDate = parseIsoDate(value);
+                if (endDate && task.startDate && endDate < task.startDate) {
+                    alert('La fecha de fin no puede ser anterior al inicio');
+                } else if (endDate && task.startDate) {
+                    return rescheduleTask(index, task.startDate, endDate);
+                }
+            } else if (field === 'dias') {
+                const days = parseInt(value);
+                if (days > 0 && task.startDate) {
+                    return rescheduleTask(index, task.startDate, addDays(task.startDate, days - 1));
+                }
+            } else {
+                task[field] = value.trim();
+            }
             
-            // Set SVG size
-            svg.style.width = ganttContainer.scrollWidth + 'px';
-            svg.style.height = (ganttData.length * 28) + 'px'; // 28px total height per row
+            renderGantt();
+        }
+        
+        // Menu with the structural edits for a row
+        function showRowMenu(index, x, y) {
+            const task = ganttData[index];
+            const isProject = task.type === 'Project';
+            const items = [
+                { label: 'Insertar tarea arriba', action: () => insertTask(index, 'above') },
+                { label: 'Insertar tarea debajo', shortcut: 'Insert', action: () => insertTask(index, 'below') },
+                null,
+                { label: 'Aumentar sangría', shortcut: 'Alt+Shift+→', action: () => indentTask(index), disabled: !canIndentTask(index) },
+                { label: 'Disminuir sangría', shortcut: 'Alt+Shift+←', action: () => outdentTask(index), disabled: !canOutdentTask(index) },
+                { label: 'Subir', shortcut: 'Alt+Shift+↑', action: () => moveTask(index, -1), disabled: index === 0 },
+                { label: 'Bajar', shortcut: 'Alt+Shift+↓', action: () => moveTask(index, 1), disabled: getBlockEnd(index) >= ganttData.length },
+                { label: 'Convertir en proyecto', action: () => convertToProject(index), disabled: isProject },
+                null,
+                { label: 'Eliminar', shortcut: 'Supr', action: () => deleteTask(index) }
+            ];
             
-            // Process each task with dependencies
-            ganttData.forEach((task, toIndex) => {
-                if (task.dependencies && task.dependencies.trim() !== '') {
-                    // Parse dependencies - format could be "Task Name (ID)" or just "ID"
-                    const depIds = [];
-                    
-                    // Try to extract IDs from parentheses
-                    const matches = task.dependencies.match(/\\((\\d+)\\)/g);
-                    if (matches) {
-                        matches.forEach(match => {
-                            const id = match.replace(/[()]/g, '');
-                            depIds.push(id);
-                        });
-                    } else {
-                        // If no parentheses, split by comma and trim
-                        const parts = task.dependencies.split(',');
-                        parts.forEach(part => {
-                            const trimmed = part.trim();
-                            if (/^\\d+$/.test(trimmed)) {
-                                depIds.push(trimmed);
-                            }
-                        });
-                    }
-                    
-                    // Draw line for each dependency
-                    depIds.forEach(depId => {
-                        const fromIndex = ganttData.findIndex(t => t.id === depId);
-                        if (fromIndex !== -1) {
-                            drawDependencyLine(fromIndex, toIndex);
-                        }
-                    });
+            const menu = document.getElementById('rowMenu');
+            menu.innerHTML = '';
+            items.forEach(item => {
+                if (!item) {
+                    menu.appendChild(document.createElement('hr'));
+                    return;
                 }
+                const button = document.createElement('button');
+                button.innerHTML = \`<span>\${item.label}</span><span class="shortcut">\${item.shortcut || ''}</span>\`;
+                button.disabled = Boolean(item.disabled);
+                button.onclick = () => {
+                    hideRowMenu();
+                    item.action();
+                };
+                menu.appendChild(button);
             });
-        }
-
-        function drawDependencyLine(fromIndex, toIndex) {
-            const svg = document.getElementById('dependencyContainer');
-            const fromTask = ganttData[fromIndex];
-            const toTask = ganttData[toIndex];
-            
-            // Skip if tasks don't have proper dates
-            if (!fromTask.endDate || !toTask.startDate) return;
             
-            // Calculate positions
-            const fromBar = document.querySelector(\`.gantt-bar[data-task-id="\${fromTask.id}"]\`);
-            const toBar = document.querySelector(\`.gantt-bar[data-task-id="\${toTask.id}"]\`);
+            menu.style.left = x + 'px';
+            menu.style.top = y + 'px';
+            menu.style.display = 'block';
+        }
+        
+        function hideRowMenu() {
+            document.getElementById('rowMenu').style.display = 'none';
+        }
+        
+        // Index just past a row and its descendants
+        function getBlockEnd(index) {
+            const task = ganttData[index];
+            let end = index + 1;
+            while (end < ganttData.length && ganttData[end].depth > task.depth) {
+                end++;
+            }
+            return end;
+        }
+        
+        // Nearest row above at the given depth, stopping at the parent (null when there is none)
+        function findRowAbove(index, depth) {
+            for (let i = index - 1; i >= 0; i--) {
+                if (ganttData[i].depth === depth) return ganttData[i];
+                if (ganttData[i].depth < depth) return null;
+            }
+            return null;
+        }
+        
+        function getParentRow(index) {
+            const task = ganttData[index];
+            for (let i = index - 1; i >= 0; i--) {
+                if (ganttData[i].depth < task.depth) return ganttData[i];
+            }
+            return null;
+        }
+        
+        // Task or Subtask depending on the level; other types are kept
+        function getTypeForLevel(task, level) {
+            if (task.type !== 'Task' && task.type !== 'Subtask') return task.type;
+            return level >= 2 ? 'Subtask' : 'Task';
+        }
+        
+        function setBlockLevel(index, delta) {
+            ganttData.slice(index, getBlockEnd(index)).forEach(task => {
+                task.level = Math.max(0, task.level + delta);
+                task.type = getTypeForLevel(task, task.level);
+            });
+        }
+        
+        // Rebuild the outline after a structural edit and redraw, keeping the edited row selected
+        function applyStructureChange(task) {
+            buildOutline(ganttData);
+            calculateDateRange();
+            renderGantt();
             
-            if (!fromBar || !toBar) return;
+            const index = ganttData.indexOf(task);
+            if (index !== -1) {
+                if (isTaskHidden(task)) {
+                    task.ancestorIds.forEach(id => delete expandedStates[id]);
+                    renderGantt();
+                }
+                selectTask(task.id, index);
+            } else {
+                selectedTaskIndex = null;
+            }
+        }
+        
+        // New task next to a row: above it, or below it (as the first child when the row has children)
+        function insertTask(index, position) {
+            const reference = ganttData[index];
+            let at, level;
+            if (position === 'above') {
+                at = index;
+                level = reference.level;
+            } else if (reference.hasChildren) {
+                at = index + 1;
+                level = ganttData[index + 1].level;
+            } else {
+                at = index + 1;
+                level = reference.level;
+            }
             
-            // Get bar positions
-            const fromX = parseInt(fromBar.style.left) + parseInt(fromBar.style.width);
-            const fromY = fromIndex * 28 + 14; // 28px total height (27 + 1 border), center at 14
-            const toX = parseInt(toBar.style.left);
-            const toY = toIndex * 28 + 14;
+            const startDate = reference.startDate ? new Date(reference.startDate) : new Date(today);
+            const task = {
+                level,
+                id: getNextTaskId(),
+                taskName: 'Nueva tarea',
+                description: '',
+                startDate,
+                endDate: new Date(startDate),
+                dias: 1,
+                restante: diffDays(today, startDate),
+                assignedTo: '',
+                dependencies: '',
+                status: '',
+                type: level >= 2 ? 'Subtask' : 'Task',
+                baselineStart: null,
+                baselineEnd: null,
+                pinned: false,
+                rowIndex: null,
+                projectId: null,
+                links: []
+            };
             
-            // Create SVG path
-            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-            path.classList.add('dependency-line');
+            ganttData.splice(at, 0, task);
+            applyStructureChange(task);
             
-            // Create a nice curved path
-            const midX = fromX + 20;
-            const d = \`M \${fromX} \${fromY} L \${midX} \${fromY} L \${midX} \${toY} L \${toX - 5} \${toY}\`;
+            // Start by naming it
+            const nameCell = document.querySelector(\`.task-row[data-index="\${at}"] .task-name span\`);
+            if (nameCell) startCellEdit(nameCell, task, 'taskName');
+        }
+        
+        // One more than the highest numeric ID
+        function getNextTaskId() {
+            const ids = ganttData.map(task => parseInt(task.id)).filter(id => !isNaN(id));
+            return String(ids.length > 0 ? Math.max(...ids) + 1 : 1);
+        }
+        
+        // Remove a row and the rows under it, and the links that pointed at them
+        function deleteTask(index) {
+            const task = ganttData[index];
+            const end = getBlockEnd(index);
+            const count = end - index;
+            if (!confirm(\`¿Eliminar "\${task.taskName}"\${count > 1 ? \` y las \${count - 1} tareas que contiene\` : ''}?\`)) return;
             
-            path.setAttribute('d', d);
-            path.setAttribute('data-from', fromTask.id);
-            path.setAttribute('data-to', toTask.id);
+            const removed = ganttData.splice(index, count);
+            const removedIds = new Set(removed.map(t => String(t.id)));
             
-            // Add tooltip on hover
-            path.innerHTML = \`<title>\${fromTask.taskName} → \${toTask.taskName}</title>\`;
+            ganttData.forEach(t => {
+                const links = (t.links || []).filter(link => !removedIds.has(link.id));
+                if (links.length !== (t.links || []).length) {
+                    t.dependencies = formatDependencies(links, t.dependencies);
+                    t.links = links;
+                }
+            });
             
-            svg.appendChild(path);
+            applyStructureChange(ganttData[Math.min(index, ganttData.length - 1)]);
         }
         
-        // Render timeline header
-        function renderTimeline(container, totalDays) {
-            const monthRow = document.createElement('div');
-            monthRow.className = 'month-row';
-            
-            const dayRow = document.createElement('div');
-            dayRow.className = 'day-row';
-            
-            let currentDate = new Date(minDate);
-            let currentMonth = -1;
-            let monthStart = 0;
+        // Dependencies text for a set of links, in the same style as the original ("Diseño (2)" or "2, 4SS+1d")
+        function formatDependencies(links, original) {
+            const withNames = /\\(/.test(original || '');
+            return links.map(link => {
+                const code = link.id + (link.type === 'FS' && !link.lag ? '' : link.type + (link.lag ? (link.lag > 0 ? '+' : '') + link.lag + 'd' : ''));
+                const predecessor = ganttData.find(t => String(t.id) === link.id);
+                return withNames && predecessor ? \`\${predecessor.taskName} (\${code})\` : code;
+            }).join(', ');
+        }
+        
+        // Indenting makes a row the last child of its previous sibling
+        function canIndentTask(index) {
+            const task = ganttData[index];
+            return task.type !== 'Project' && findRowAbove(index, task.depth) !== null;
+        }
+        
+        // Outdenting makes a row a sibling of its parent; tasks stay inside their Project
+        function canOutdentTask(index) {
+            const parent = getParentRow(index);
+            return ganttData[index].type !== 'Project' && parent !== null && parent.type !== 'Project';
+        }
+        
+        function indentTask(index) {
+            if (!canIndentTask(index)) return;
+            const task = ganttData[index];
+            setBlockLevel(index, findRowAbove(index, task.depth).level + 1 - task.level);
+            applyStructureChange(task);
+        }
+        
+        function outdentTask(index) {
+            if (!canOutdentTask(index)) return;
+            const task = ganttData[index];
+            setBlockLevel(index, getParentRow(index).level - task.level);
+            applyStructureChange(task);
+        }
+        
+        // Move a row and the rows under it past the neighbouring row (and its rows) above or below.
+        // IDs do not change, so the dependencies keep pointing at the same tasks.
+        function moveTask(index, direction) {
+            const task = ganttData[index];
+            const end = getBlockEnd(index);
+            let target;
             
-            for (let i = 0; i < totalDays; i++) {
-                // Day cell
-                const dayCell = document.createElement('div');
-                dayCell.className = 'day-cell';
-                
-                if (currentDate.getDay() === 0 || currentDate.getDay() === 6) {
-                    dayCell.classList.add('weekend');
-                }
-                
-                if (currentDate.toDateString() === today.toDateString()) {
-                    dayCell.classList.add('today');
-                }
-                
-                dayCell.textContent = currentDate.getDate();
-                dayRow.appendChild(dayCell);
-                
-                // Check for new month
-                if (currentDate.getMonth() !== currentMonth) {
-                    if (currentMonth !== -1) {
-                        // Finish previous month
-                        const monthCell = document.createElement('div');
-                        monthCell.className = 'month-cell';
-                        monthCell.style.width = ((i - monthStart) * dayWidth) + 'px';
-                        monthCell.textContent = getMonthName(currentMonth) + ' ' + (currentDate.getFullYear() - (currentDate.getMonth() === 0 ? 1 : 0));
-                        monthRow.appendChild(monthCell);
-                    }
-                    currentMonth = currentDate.getMonth();
-                    monthStart = i;
+            if (direction < 0) {
+                if (index === 0) return;
+                // Above the previous sibling and its rows, or above the parent
+                target = index - 1;
+                while (target > 0 && ganttData[target].depth > task.depth) {
+                    target--;
                 }
-                
-                currentDate.setDate(currentDate.getDate() + 1);
+            } else {
+                if (end >= ganttData.length) return;
+                const next = ganttData[end];
+                // Past the next sibling and its rows, or just under the next row higher up (becoming its first child)
+                target = next.depth < task.depth ? end + 1 : getBlockEnd(end);
             }
             
-            // Finish last month
-            const monthCell = document.createElement('div');
-            monthCell.className = 'month-cell';
-            monthCell.style.width = ((totalDays - monthStart) * dayWidth) + 'px';
-            monthCell.textContent = getMonthName(currentMonth) + ' ' + (currentDate.getFullYear() - 1);
-            monthRow.appendChild(monthCell);
+            const block = ganttData.splice(index, end - index);
+            ganttData.splice(direction < 0 ? target : target - block.length, 0, ...block);
+            applyStructureChange(task);
+        }
+        
+        // Make a task a Project row; the rows under it become its tasks
+        function convertToProject(index) {
+            const task = ganttData[index];
+            if (task.type === 'Project') return;
             
-            container.appendChild(monthRow);
-            container.appendChild(dayRow);
+            setBlockLevel(index, -task.level);
+            task.type = 'Project';
+            task.level = 0;
+            applyStructureChange(task);
         }
         
-        // Render grid lines
-        function renderGridLines(totalDays) {
-            const gridLines = document.getElementById('gridLines');
-            const totalHeight = ganttData.length * 28; // 28px per row
-            let currentDate = new Date(minDate);
+        // Structural edits from the keyboard on the selected row
+        document.addEventListener('keydown', function(event) {
+            if (event.key === 'Escape') hideRowMenu();
+            if (selectedTaskIndex === null || !ganttData[selectedTaskIndex] || !canEditSchedule()) return;
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
             
-            for (let i = 0; i < totalDays; i++) {
-                const line = document.createElement('div');
-                line.className = 'grid-line';
-                line.style.left = (i * dayWidth) + 'px';
-                line.style.height = totalHeight + 'px';
-                
-                if (currentDate.getDay() === 1) {
-                    line.classList.add('week');
-                }
-                if (currentDate.getDate() === 1) {
-                    line.classList.add('month');
+            const index = selectedTaskIndex;
+            if (event.altKey && event.shiftKey) {
+                const actions = {
+                    ArrowRight: () => indentTask(index),
+                    ArrowLeft: () => outdentTask(index),
+                    ArrowUp: () => moveTask(index, -1),
+                    ArrowDown: () => moveTask(index, 1)
+                };
+                if (actions[event.key]) {
+                    event.preventDefault();
+                    actions[event.key]();
                 }
-                
-                gridLines.appendChild(line);
-                currentDate.setDate(currentDate.getDate() + 1);
+            } else if (event.key === 'Delete') {
+                deleteTask(index);
+            } else if (event.key === 'Insert') {
+                insertTask(index, 'below');
             }
+        });
+        
+        document.addEventListener('click', hideRowMenu);
+        
+        // Remember the editable fields as loaded, to know what "Guardar" has to write
+        function rememberSavedFields() {
+            savedFields = new Map(ganttData.map(task => [task, pickEditableFields(task)]));
+            savedOrder = ganttData.slice();
         }
         
-        // Position today line
-        function positionTodayLine() {
-            const todayLine = document.getElementById('todayLine');
-            const daysSinceStart = Math.floor((today - minDate) / (1000 * 60 * 60 * 24));
-            todayLine.style.left = (daysSinceStart * dayWidth) + 'px';
-            
-            // Ensure today line spans full height including all rows
-            const totalHeight = ganttData.length * 28; // 28px per row
-            todayLine.style.height = totalHeight + 'px';
+        function pickEditableFields(task) {
+            const fields = {};
+            Object.keys(EDITABLE_COLUMNS).forEach(field => {
+                fields[field] = task[field];
+            });
+            return fields;
         }
         
-        // Show tooltip
-        function showTooltip(event, task) {
-            const tooltip = document.getElementById('tooltip');
-            
-            let html = \`<div class="tooltip-title">\${task.taskName}</div>\`;
-            
-            if (task.description) {
-                html += \`<div class="tooltip-row">
-                    <span class="tooltip-label">Descripción:</span>
-                    <span>\${task.description}</span>
-                </div>\`;
+        function isSameFieldValue(a, b) {
+            if (a instanceof Date || b instanceof Date) {
+                return diffDays(a, b) === 0;
             }
-            
-            if (task.assignedTo) {
-                html += \`<div class="tooltip-row">
-                    <span class="tooltip-label">Asignado a:</span>
-                    <span>\${task.assignedTo}</span>
-                </div>\`;
+            return (a ?? '') === (b ?? '') || (Number.isNaN(a) && Number.isNaN(b));
+        }
+        
+        // Inserted tasks and tasks with edits not yet written to the workbook
+        function getUnsavedTasks() {
+            return ganttData.filter(task => {
+                const saved = savedFields.get(task);
+                return !saved || Object.keys(EDITABLE_COLUMNS).some(field => !isSameFieldValue(saved[field], task[field]));
+            });
+        }
+        
+        // Rows inserted, deleted or moved since the workbook was loaded
+        function isStructureChanged() {
+            return ganttData.length !== savedOrder.length || ganttData.some((task, index) => task !== savedOrder[index]);
+        }
+        
+        // Changed and deleted tasks, or one change when rows were only reordered
+        function countUnsavedChanges() {
+            const deleted = savedOrder.filter(task => !ganttData.includes(task)).length;
+            const changes = getUnsavedTasks().length + deleted;
+            return changes > 0 ? changes : (isStructureChanged() ? 1 : 0);
+        }
+        
+        function updateSaveButton() {
+            const button = document.getElementById('saveButton');
+            const unsaved = countUnsavedChanges();
+            button.style.display = canEditSchedule() ? '' : 'none';
+            if (!button.disabled) {
+                button.textContent = unsaved > 0 ? \`Guardar (\${unsaved})\` : 'Guardar';
             }
-            
-            if (task.startDate) {
-                html += \`<div class="tooltip-row">
-                    <span class="tooltip-label">Inicio:</span>
-                    <span>\${formatDate(task.startDate)}</span>
-                </div>\`;
+            button.classList.toggle('unsaved', unsaved > 0);
+        }
+        
+        // Write the edits into the workbook shown and upload it as a new version
+        async function saveChanges() {
+            if (pendingSchedule) {
+                alert('Acepte o descarte los cambios de programación antes de guardar');
+                return;
             }
             
-            if (task.endDate) {
-                html += \`<div class="tooltip-row">
-                    <span class="tooltip-label">Fin:</span>
-                    <span>\${formatDate(task.endDate)}</span>
-                </div>\`;
+            const tasks = getUnsavedTasks();
+            const changes = countUnsavedChanges();
+            if (changes === 0) {
+                alert('No hay cambios para guardar');
+                return;
             }
-            
-            if (task.dias) {
-                html += \`<div class="tooltip-row">
-                    <span class="tooltip-label">Duración:</span>
-                    <span>\${task.dias} días</span>
-                </div>\`;
+            if (currentVersion && !confirm(\`Está viendo la versión \${formatVersionDate(currentVersion)}. Los cambios se guardarán como la versión más reciente. ¿Continuar?\`)) {
+                return;
             }
             
-            if (task.restante !== null) {
-                const restanteText = task.restante < 0 ? 
-                    \`<span style="color: #ff6b6b;">Vencido hace \${Math.abs(task.restante)} días</span>\` : 
-                    \`\${task.restante} días restantes\`;
-                html += \`<div class="tooltip-row">
-                    <span class="tooltip-label">Tiempo restante:</span>
-                    <span>\${restanteText}</span>
-                </div>\`;
-            }
+            const note = prompt('Nota de la versión (opcional)', \`Cambios desde el diagrama (\${changes} tareas)\`);
+            if (note === null) return;
             
-            if (task.status) {
-                html += \`<div class="tooltip-row">
-                    <span class="tooltip-label">Estado:</span>
-                    <span>\${task.status}</span>
-                </div>\`;
-            }
+            const button = document.getElementById('saveButton');
+            button.disabled = true;
             
-            if (task.dependencies) {
-                html += \`<div class="tooltip-row">
-                    <span class="tooltip-label">Dependencias:</span>
-                    <span>\${task.dependencies}</span>
-                </div>\`;
+            try {
+                button.textContent = 'Preparando archivo...';
+                const arrayBuffer = loadedWorkbook || await downloadWorkbook(currentVersion);
+                const data = writeTaskChanges(arrayBuffer, tasks);
+                const file = new File([data], SCHEDULE_NAME + '.xlsx', { type: XLSX_MIME_TYPE });
+                
+                await sendFile(file, note.trim(), text => {
+                    button.textContent = text;
+                });
+                
+                button.disabled = false;
+                await loadExistingFile();
+            } catch (error) {
+                console.error('Save error:', error);
+                const problems = (error.problems || []).map(problem => (problem.row ? 'Fila ' + problem.row + ': ' : '') + describeProblem(problem));
+                alert('Error al guardar: ' + error.message + (problems.length > 0 ? '\\n' + problems.join('\\n') : ''));
+            } finally {
+                button.disabled = false;
+                updateSaveButton();
+            }
+        }
+        
+        // Copy of the workbook with the edited task cells patched into the original file. Only the task sheet's
+        // cells are rewritten, so styles, conditional formatting and the other sheets stay as they were.
+        // An .xls file is not a zip package: it is converted to .xlsx first and saved as one, without its formatting.
+        function writeTaskChanges(arrayBuffer, tasks) {
+            if (!isZipPackage(arrayBuffer)) {
+                arrayBuffer = XLSX.write(readWorkbook(arrayBuffer), { bookType: 'xlsx', type: 'array' });
             }
+            const workbook = readWorkbook(arrayBuffer);
+            const sheet = workbook.Sheets[getTaskSheetName(workbook)];
+            const range = XLSX.utils.decode_range(sheet['!ref']);
+            const headers = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false })[0] || [];
             
-            tooltip.innerHTML = html;
-            tooltip.style.display = 'block';
+            // rowIndex counts from the row under the header, like the rows read by readSheetRows (row numbers here start at 1)
+            const taskStart = range.s.r + 2;
+            const taskEnd = range.e.r + 1;
             
-            // Position tooltip
-            const rect = event.target.getBoundingClientRect();
-            tooltip.style.left = rect.left + 'px';
-            tooltip.style.top = (rect.bottom + 5) + 'px';
+            const zip = XLSX.CFB.read(new Uint8Array(arrayBuffer), { type: 'array' });
+            const workbookXml = readPackageXml(zip, '/xl/workbook.xml');
+            const sheetPath = getSheetPaths(zip, workbookXml).get(getTaskSheetName(workbook));
+            const sheetXml = readPackageXml(zip, sheetPath);
+            const stylesXml = readPackageXml(zip, '/xl/styles.xml');
+            const sheetData = getXmlElements(sheetXml, 'sheetData')[0];
+            numberSheetCells(sheetData);
+            unshareFormulas(sheetXml, sheet);
             
-            // Adjust if tooltip goes off screen
-            setTimeout(() => {
-                const tooltipRect = tooltip.getBoundingClientRect();
-                if (tooltipRect.right > window.innerWidth) {
-                    tooltip.style.left = (window.innerWidth - tooltipRect.width - 10) + 'px';
-                }
-                if (tooltipRect.bottom > window.innerHeight) {
-                    tooltip.style.top = (rect.top - tooltipRect.height - 5) + 'px';
+            const workbookProperties = getXmlElements(workbookXml, 'workbookPr')[0];
+            const date1904 = !!workbookProperties && /^(1|true)$/.test(workbookProperties.getAttribute('date1904'));
+            const dateStyles = new Map();
+            
+            // New cells take the style of the column's first task row (date formats in particular)
+            const columnStyles = new Map(getXmlElements(getSheetRow(sheetData, taskStart), 'c').map(cell =>
+                [XLSX.utils.decode_cell(cell.getAttribute('r')).c, cell.getAttribute('s')]));
+            
+            const writeFields = (task, row) => {
+                const saved = savedFields.get(task) || {};
+                Object.entries(EDITABLE_COLUMNS).forEach(([field, header]) => {
+                    const column = headers.indexOf(header);
+                    if (column === -1 || isSameFieldValue(saved[field], task[field])) return;
+                    
+                    const cell = getRowCell(row, range.s.c + column, columnStyles.get(range.s.c + column));
+                    let value = field === 'id' && /^\\d+$/.test(task.id) ? Number(task.id) : task[field];
+                    if (value instanceof Date) {
+                        value = toExcelSerial(value, date1904);
+                        cell.setAttribute('s', getDateStyle(stylesXml, cell.getAttribute('s'), dateStyles));
+                    }
+                    setCellValue(cell, value, DERIVED_COLUMNS.includes(field));
+                });
+            };
+            
+            if (!isStructureChanged()) {
+                tasks.forEach(task => writeFields(task, getSheetRow(sheetData, taskStart + task.rowIndex)));
+            } else {
+                // Rows were inserted, deleted or moved: lift every task row out of the sheet and lay them down again in the new order
+                const move = {
+                    sheetName: getTaskSheetName(workbook),
+                    taskStart,
+                    taskEnd,
+                    delta: ganttData.length - (taskEnd - taskStart + 1),
+                    rows: new Map(), // Original row number -> new one
+                    inserted: new Set()
+                };
+                const originalRows = new Map();
+                getXmlElements(sheetData, 'row').forEach(row => {
+                    const number = Number(row.getAttribute('r'));
+                    if (number > taskEnd) {
+                        moveSheetRow(row, number + move.delta);
+                    } else if (number >= taskStart) {
+                        originalRows.set(number - taskStart, row);
+                        sheetData.removeChild(row);
+                    }
+                });
+                const rowsBelow = getXmlElements(sheetData, 'row').find(row => Number(row.getAttribute('r')) >= taskStart) || null;
+                
+                ganttData.forEach((task, position) => {
+                    const number = taskStart + position;
+                    const original = savedFields.has(task) ? originalRows.get(task.rowIndex) : null;
+                    const row = original || createXmlElement(sheetXml, 'row');
+                    moveSheetRow(row, number);
+                    if (original) {
+                        move.rows.set(taskStart + task.rowIndex, number);
+                    } else {
+                        move.inserted.add(number);
+                        columnStyles.forEach((style, column) => {
+                            if (style) getRowCell(row, column, style);
+                        });
+                    }
+                    sheetData.insertBefore(row, rowsBelow);
+                    writeFields(task, row);
+                });
+                
+                const dimension = getXmlElements(sheetXml, 'dimension')[0];
+                if (dimension) {
+                    range.e.r = Math.max(range.s.r, taskEnd + move.delta - 1);
+                    dimension.setAttribute('ref', XLSX.utils.encode_range(range));
                 }
-            }, 0);
+                moveRowReferences(zip, workbook, workbookXml, sheetPath, sheetXml, move);
+            }
+            
+            writePackageXml(zip, sheetPath, sheetXml);
+            if (dateStyles.size > 0) writePackageXml(zip, '/xl/styles.xml', stylesXml);
+            resetCalculation(zip, workbookXml);
+            writePackageXml(zip, '/xl/workbook.xml', workbookXml);
+            return new Uint8Array(XLSX.CFB.write(zip, { fileType: 'zip', type: 'array' }));
         }
         
-        // Hide tooltip
-        function hideTooltip() {
-            document.getElementById('tooltip').style.display = 'none';
-        }
+        const MAX_SHEET_ROWS = 1048576;
         
-        // Sync scroll between panels
-        function syncScroll() {
-            const taskPanel = document.getElementById('taskPanel');
-            const ganttPanel = document.getElementById('ganttPanel');
+        // References to cells in formulas: a quoted string (skipped), or the character before the reference, an optional
+        // sheet, and either cells and cell ranges ("F4", "$E$2:$E$40") or whole rows ("2:5")
+        const FORMULA_REFERENCE = /("(?:[^"]|"")*")|(^|[^\\w.$:!'\\]])((?:'(?:[^']|'')+'|[A-Za-z_][\\w.]*)!)?(?:(\\$?[A-Z]{1,3}\\$?)(\\d+)(?::(\\$?[A-Z]{1,3}\\$?)(\\d+))?|(\\$?)(\\d+):(\\$?)(\\d+))(?![\\w(!])/g;
+        
+        // After a structural save, point everything that refers to rows of the task sheet at their new numbers:
+        // the sheet's formulas, formatting and validation ranges, merged cells, tables, other sheets' formulas,
+        // defined names and charts
+        function moveRowReferences(zip, workbook, workbookXml, sheetPath, sheetXml, move) {
+            getXmlElements(sheetXml, 'f').forEach(formula => {
+                formula.textContent = moveFormulaRows(formula.textContent, move, true, formula.parentNode.getAttribute('r'));
+            });
+            [['conditionalFormatting', 'sqref'], ['dataValidation', 'sqref'], ['mergeCell', 'ref'], ['hyperlink', 'ref'], ['autoFilter', 'ref'], ['f', 'ref']]
+                .forEach(([name, attribute]) => moveRangeAttributes(sheetXml, name, attribute, move));
             
-            let syncing = false;
+            const sheetRelationships = readPackageXml(zip, sheetPath.replace(/[^/]+$/, '_rels/$&.rels'));
+            if (sheetRelationships) {
+                getXmlElements(sheetRelationships, 'Relationship')
+                    .filter(relationship => /\\/table$/.test(relationship.getAttribute('Type')))
+                    .forEach(relationship => {
+                        const tablePath = resolvePackagePath(sheetPath, relationship.getAttribute('Target'));
+                        const tableXml = readPackageXml(zip, tablePath);
+                        if (!tableXml) return;
+                        moveRangeAttributes(tableXml, 'table', 'ref', move);
+                        moveRangeAttributes(tableXml, 'autoFilter', 'ref', move);
+                        writePackageXml(zip, tablePath, tableXml);
+                    });
+            }
             
-            // Ensure both panels start at the same position
-            taskPanel.scrollTop = 0;
-            ganttPanel.scrollTop = 0;
+            getSheetPaths(zip, workbookXml).forEach((path, name) => {
+                const xml = path !== sheetPath && readPackageXml(zip, path);
+                const sheet = workbook.Sheets[name];
+                if (!xml || !sheet) return;
+                
+                // Shared formulas are stored once for a block of cells, so compare the formula of every cell
+                const changes = getXmlElements(xml, 'f').map(formula => {
+                    const address = formula.parentNode.getAttribute('r');
+                    const text = sheet[address] && sheet[address].f || formula.textContent;
+                    return [formula, text, moveFormulaRows(text, move, false, name + '!' + address)];
+                }).filter(([formula, text, moved]) => moved !== text);
+                if (changes.length === 0) return;
+                
+                unshareFormulas(xml, sheet);
+                changes.forEach(([formula, text, moved]) => {
+                    formula.textContent = moved;
+                });
+                writePackageXml(zip, path, xml);
+            });
             
-            taskPanel.addEventListener('scroll', () => {
-                if (!syncing) {
-                    syncing = true;
-                    ganttPanel.scrollTop = taskPanel.scrollTop;
-                    requestAnimationFrame(() => { syncing = false; });
-                }
+            getXmlElements(workbookXml, 'definedName').forEach(definedName => {
+                definedName.textContent = moveFormulaRows(definedName.textContent, move, false, definedName.getAttribute('name'));
             });
             
-            ganttPanel.addEventListener('scroll', () => {
-                if (!syncing) {
-                    syncing = true;
-                    taskPanel.scrollTop = ganttPanel.scrollTop;
-                    requestAnimationFrame(() => { syncing = false; });
+            zip.FullPaths
+                .map(path => path.slice(path.indexOf('/')))
+                .filter(path => /^\\/xl\\/charts\\/chart[^/]*\\.xml$/.test(path))
+                .forEach(path => {
+                    const chartXml = readPackageXml(zip, path);
+                    const formulas = getXmlElements(chartXml, 'f');
+                    formulas.forEach(formula => {
+                        formula.textContent = moveFormulaRows(formula.textContent, move, false, 'un gráfico');
+                    });
+                    if (formulas.length > 0) writePackageXml(zip, path, chartXml);
+                });
+        }
+        
+        // Formula with its references to task sheet rows moved (unqualified ones too when it is on the task sheet).
+        // A save that would leave a reference without its row, or a range over rows that are no longer together, is refused.
+        function moveFormulaRows(formula, move, onTaskSheet, location) {
+            return formula.replace(FORMULA_REFERENCE, (match, text, before, sheet, column, row, lastColumn, lastRow, rowMarker, firstRow, lastRowMarker, lastWholeRow) => {
+                if (text || (sheet ? !isSameSheetName(sheet, move.sheetName) : !onTaskSheet)) return match;
+                
+                const refuse = () => {
+                    throw new Error(\`La fórmula de \${location} (=\${formula}) usa filas de tareas eliminadas o que ya no quedan juntas; cámbiela en Excel antes de guardar\`);
+                };
+                const prefix = before + (sheet || '');
+                if (column && !lastColumn) {
+                    const moved = moveRowNumber(move, Number(row));
+                    return moved === null ? refuse() : prefix + column + moved;
+                }
+                
+                const first = Number(firstRow || row);
+                const last = Number(lastWholeRow || lastRow);
+                const rows = moveRowRange(move, Math.min(first, last), Math.max(first, last));
+                if (!rows || !rows.together) refuse();
+                return column
+                    ? prefix + column + rows.first + ':' + lastColumn + rows.last
+                    : prefix + rowMarker + rows.first + ':' + lastRowMarker + rows.last;
+            });
+        }
+        
+        function isSameSheetName(prefix, sheetName) {
+            const name = prefix.slice(0, -1).replace(/^'(.*)'$/, (quoted, inner) => inner.replace(/''/g, "'"));
+            return name.toLowerCase() === sheetName.toLowerCase();
+        }
+        
+        // Range attributes ("A1:B2 D5") moved with the rows; elements left without rows are removed
+        function moveRangeAttributes(xml, name, attribute, move) {
+            getXmlElements(xml, name).filter(element => element.hasAttribute(attribute)).forEach(element => {
+                const ranges = element.getAttribute(attribute).split(/\\s+/).filter(Boolean).map(text => {
+                    if (!/\\d/.test(text)) return text; // Whole columns
+                    const range = XLSX.utils.decode_range(text.replace(/\\$/g, ''));
+                    const rows = moveRowRange(move, range.s.r + 1, range.e.r + 1);
+                    if (!rows) return null;
+                    range.s.r = rows.first - 1;
+                    range.e.r = rows.last - 1;
+                    return text.includes(':') ? XLSX.utils.encode_range(range) : XLSX.utils.encode_cell(range.s);
+                }).filter(Boolean);
+                
+                if (ranges.length > 0) {
+                    element.setAttribute(attribute, ranges.join(' '));
+                    return;
                 }
+                const parent = element.parentNode;
+                parent.removeChild(element);
+                if (parent.hasAttribute('count')) parent.setAttribute('count', getXmlElements(parent, name).length);
+                if (parent !== xml.documentElement && getXmlElements(parent, name).length === 0) parent.parentNode.removeChild(parent);
             });
         }
         
-        // Toggle project expansion
-        function toggleProject(projectId) {
-            projectStates[projectId] = !projectStates[projectId];
+        // New number of an original row: the same above the tasks, shifted below them, null for a deleted task row
+        function moveRowNumber(move, number) {
+            if (number < move.taskStart) return number;
+            if (number > move.taskEnd) return number + move.delta;
+            return move.rows.has(number) ? move.rows.get(number) : null;
+        }
+        
+        // New first and last row of a range of original rows, null when none of them is left. "together" tells whether
+        // the rows now between them all come from the range or are new tasks. A range reaching the last task row
+        // also takes in new tasks added right after it, so totals and formatting keep covering the whole list.
+        function moveRowRange(move, first, last) {
+            const rows = [];
+            if (first < move.taskStart) rows.push(first, Math.min(last, move.taskStart - 1));
+            for (let number = Math.max(first, move.taskStart); number <= Math.min(last, move.taskEnd); number++) {
+                if (move.rows.has(number)) rows.push(move.rows.get(number));
+            }
+            if (last > move.taskEnd) rows.push(Math.max(first, move.taskEnd + 1) + move.delta, Math.min(last + move.delta, MAX_SHEET_ROWS));
+            if (rows.length === 0) return null;
             
-            // Update expand icon
-            const icon = document.querySelector(\`.task-row[data-task-id="\${projectId}"] .expand-icon\`);
-            if (icon) {
-                icon.textContent = projectStates[projectId] ? '▼' : '▶';
-                icon.classList.toggle('collapsed', !projectStates[projectId]);
+            const kept = new Set(rows);
+            const taskEnd = move.taskEnd + move.delta;
+            let lastRow = Math.max(...rows);
+            if (first <= move.taskEnd && last >= move.taskEnd) {
+                while (move.inserted.has(lastRow + 1)) lastRow++;
             }
+            const firstRow = Math.min(...rows);
             
-            // Show/hide child tasks
-            ganttData.forEach((task, index) => {
-                if (task.projectId === projectId && task.id !== projectId) {
-                    const taskRow = document.querySelector(\`.task-row[data-index="\${index}"]\`);
-                    const ganttRow = document.querySelector(\`.gantt-row[data-index="\${index}"]\`);
-                    
-                    if (taskRow) taskRow.classList.toggle('collapsed', !projectStates[projectId]);
-                    if (ganttRow) ganttRow.classList.toggle('collapsed', !projectStates[projectId]);
-                }
+            let together = true;
+            for (let number = Math.max(firstRow, move.taskStart); number <= Math.min(lastRow, taskEnd); number++) {
+                together = together && (kept.has(number) || move.inserted.has(number));
+            }
+            return { first: firstRow, last: lastRow, together };
+        }
+        
+        // Path of a relationship target inside the package, relative to the part that points at it
+        function resolvePackagePath(partPath, target) {
+            return decodeURIComponent(new URL(target, 'http://package' + partPath).pathname);
+        }
+        
+        // .xlsx files are zip packages ("PK\\x03\\x04"); .xls files are OLE2 compound documents
+        function isZipPackage(arrayBuffer) {
+            const bytes = new Uint8Array(arrayBuffer).subarray(0, 4);
+            return bytes.length === 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+        }
+        
+        // Parsed XML part of the workbook file (a zip read with SheetJS's CFB), null when the part is missing
+        function readPackageXml(zip, path) {
+            const entry = XLSX.CFB.find(zip, path);
+            return entry ? new DOMParser().parseFromString(new TextDecoder().decode(new Uint8Array(entry.content)), 'application/xml') : null;
+        }
+        
+        function writePackageXml(zip, path, xml) {
+            const text = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\\r\\n' + new XMLSerializer().serializeToString(xml.documentElement);
+            XLSX.CFB.utils.cfb_add(zip, path, new TextEncoder().encode(text));
+        }
+        
+        // Elements by local name, whatever prefix the part gives its main namespace
+        function getXmlElements(node, name) {
+            const namespace = (node.ownerDocument || node).documentElement.namespaceURI;
+            return Array.from(node.getElementsByTagNameNS(namespace, name));
+        }
+        
+        function createXmlElement(xml, name) {
+            const root = xml.documentElement;
+            return xml.createElementNS(root.namespaceURI, root.prefix ? root.prefix + ':' + name : name);
+        }
+        
+        // Sheet name -> path of its XML in the package, from the workbook and its relationships
+        function getSheetPaths(zip, workbookXml) {
+            const relationships = readPackageXml(zip, '/xl/_rels/workbook.xml.rels');
+            const targets = new Map(getXmlElements(relationships, 'Relationship').map(relationship =>
+                [relationship.getAttribute('Id'), relationship.getAttribute('Target')]));
+            return new Map(getXmlElements(workbookXml, 'sheet').map(sheet => {
+                const id = Array.from(sheet.attributes).find(attribute => attribute.localName === 'id').value;
+                return [sheet.getAttribute('name'), resolvePackagePath('/xl/workbook.xml', targets.get(id) || '')];
+            }));
+        }
+        
+        // Rows and cells may leave out their position ("r"); fill it in so they can be found and moved
+        function numberSheetCells(sheetData) {
+            let number = 0;
+            getXmlElements(sheetData, 'row').forEach(row => {
+                number = Number(row.getAttribute('r')) || number + 1;
+                row.setAttribute('r', number);
+                let column = -1;
+                getXmlElements(row, 'c').forEach(cell => {
+                    column = cell.hasAttribute('r') ? XLSX.utils.decode_cell(cell.getAttribute('r')).c : column + 1;
+                    cell.setAttribute('r', XLSX.utils.encode_col(column) + number);
+                });
             });
-            
-            // Re-render dependencies when expanding/collapsing
-            setTimeout(() => {
-                renderDependencies();
-            }, 100);
         }
         
-        // Select task
-        function selectTask(taskId, index) {
-            // Remove previous selection
-            document.querySelectorAll('.task-row').forEach(row => {
-                row.style.background = '';
+        // Give each cell of a shared formula its own copy (as expanded by SheetJS), so cells can be rewritten or moved one by one
+        function unshareFormulas(xml, sheet) {
+            getXmlElements(xml, 'f').forEach(formula => {
+                const cell = sheet[formula.parentNode.getAttribute('r')];
+                if (formula.getAttribute('t') !== 'shared' || !cell || !cell.f) return;
+                formula.textContent = cell.f;
+                ['t', 'ref', 'si'].forEach(name => formula.removeAttribute(name));
             });
+        }
+        
+        // <row> element of a sheet by number, added in order when missing
+        function getSheetRow(sheetData, number) {
+            const next = getXmlElements(sheetData, 'row').find(row => Number(row.getAttribute('r')) >= number);
+            if (next && Number(next.getAttribute('r')) === number) return next;
             
-            // Add selection
-            const taskRow = document.querySelector(\`.task-row[data-index="\${index}"]\`);
-            if (taskRow && !taskRow.classList.contains('project')) {
-                taskRow.style.background = '#d4e8f7';
-            }
+            const row = createXmlElement(sheetData.ownerDocument, 'row');
+            row.setAttribute('r', number);
+            sheetData.insertBefore(row, next || null);
+            return row;
         }
         
-        // Expand all projects
-        function expandAll() {
-            Object.keys(projectStates).forEach(projectId => {
-                projectStates[projectId] = true;
+        // <c> element of a row by column index, added in order (with the given style) when missing
+        function getRowCell(row, column, style) {
+            const address = XLSX.utils.encode_col(column) + row.getAttribute('r');
+            const next = getXmlElements(row, 'c').find(cell => XLSX.utils.decode_cell(cell.getAttribute('r')).c >= column);
+            if (next && next.getAttribute('r') === address) return next;
+            
+            const cell = createXmlElement(row.ownerDocument, 'c');
+            cell.setAttribute('r', address);
+            if (style) cell.setAttribute('s', style);
+            row.insertBefore(cell, next || null);
+            row.removeAttribute('spans'); // Optional hint that may no longer cover the row's cells
+            return cell;
+        }
+        
+        // Renumber a row and its cells
+        function moveSheetRow(row, number) {
+            row.setAttribute('r', number);
+            getXmlElements(row, 'c').forEach(cell => {
+                cell.setAttribute('r', cell.getAttribute('r').replace(/\\d+$/, number));
             });
-            renderGantt();
         }
         
-        // Collapse all projects
-        function collapseAll() {
-            Object.keys(projectStates).forEach(projectId => {
-                projectStates[projectId] = false;
+        // Numbers go in <v>, text inline; the formula is kept only for keepFormula (then only its cached value changes)
+        function setCellValue(cell, value, keepFormula) {
+            Array.from(cell.childNodes).forEach(node => {
+                if (!keepFormula || node.localName !== 'f') cell.removeChild(node);
             });
-            renderGantt();
+            cell.removeAttribute('t');
+            
+            const xml = cell.ownerDocument;
+            const text = createXmlElement(xml, 'v');
+            if (value === null || value === undefined || value === '' || Number.isNaN(value)) {
+                return;
+            } else if (typeof value === 'number') {
+                text.textContent = value;
+            } else if (cell.firstChild) {
+                cell.setAttribute('t', 'str'); // Text result of a formula
+                text.textContent = value;
+            } else {
+                cell.setAttribute('t', 'inlineStr');
+                const inline = createXmlElement(xml, 'is');
+                const inlineText = inline.appendChild(createXmlElement(xml, 't'));
+                inlineText.setAttributeNS('http://www.w3.org/XML/1998/namespace', 'xml:space', 'preserve');
+                inlineText.textContent = value;
+                cell.appendChild(inline);
+                return;
+            }
+            cell.appendChild(text);
         }
         
-        // Reset view
-        function resetView() {
-            const ganttPanel = document.getElementById('ganttPanel');
-            ganttPanel.scrollLeft = 0;
-            ganttPanel.scrollTop = 0;
+        // Excel serial number of a local date (days since 1899-12-30, or since 1904-01-01 in the 1904 date system)
+        function toExcelSerial(date, date1904) {
+            const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+            return Math.round((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - epoch) / (1000 * 60 * 60 * 24));
+        }
+        
+        // Style index showing dates: the cell's own when its number format is a date, else a copy of it with one
+        // (added to styles.xml once per style and remembered in dateStyles)
+        function getDateStyle(stylesXml, style, dateStyles) {
+            style = style || '0';
+            const cellFormats = stylesXml && getXmlElements(stylesXml, 'cellXfs')[0];
+            if (!cellFormats) return style;
             
-            // Scroll to today
-            const daysSinceStart = Math.floor((today - minDate) / (1000 * 60 * 60 * 24));
-            const scrollPosition = (daysSinceStart * dayWidth) - (ganttPanel.offsetWidth / 2);
-            ganttPanel.scrollLeft = Math.max(0, scrollPosition);
+            const formats = cellFormats.getElementsByTagNameNS(cellFormats.namespaceURI, 'xf');
+            const format = formats[Number(style)];
+            const formatId = format ? format.getAttribute('numFmtId') || '0' : '0';
+            const custom = getXmlElements(stylesXml, 'numFmt').find(numberFormat => numberFormat.getAttribute('numFmtId') === formatId);
+            const code = custom ? custom.getAttribute('formatCode') : XLSX.SSF.get_table()[formatId];
+            if (code && XLSX.SSF.is_date(code)) return style;
+            
+            if (!dateStyles.has(style)) {
+                const dateFormat = format ? format.cloneNode(true) : createXmlElement(stylesXml, 'xf');
+                dateFormat.setAttribute('numFmtId', '14');
+                dateFormat.setAttribute('applyNumberFormat', '1');
+                cellFormats.appendChild(dateFormat);
+                cellFormats.setAttribute('count', formats.length);
+                dateStyles.set(style, String(formats.length - 1));
+            }
+            return dateStyles.get(style);
+        }
+        
+        // Excel keeps a chain of the formula cells and would report a damaged file once formulas are removed or moved:
+        // drop the chain and have formulas recalculated when the file is opened
+        function resetCalculation(zip, workbookXml) {
+            XLSX.CFB.utils.cfb_del(zip, '/xl/calcChain.xml');
+            
+            const relationships = readPackageXml(zip, '/xl/_rels/workbook.xml.rels');
+            getXmlElements(relationships, 'Relationship')
+                .filter(relationship => /\\/calcChain$/.test(relationship.getAttribute('Type')))
+                .forEach(relationship => relationship.parentNode.removeChild(relationship));
+            writePackageXml(zip, '/xl/_rels/workbook.xml.rels', relationships);
+            
+            const contentTypes = readPackageXml(zip, '/[Content_Types].xml');
+            getXmlElements(contentTypes, 'Override')
+                .filter(override => override.getAttribute('PartName') === '/xl/calcChain.xml')
+                .forEach(override => override.parentNode.removeChild(override));
+            writePackageXml(zip, '/[Content_Types].xml', contentTypes);
+            
+            let calculation = getXmlElements(workbookXml, 'calcPr')[0];
+            if (!calculation) {
+                // calcPr comes after the sheets and names, before these
+                const later = ['oleSize', 'customWorkbookViews', 'pivotCaches', 'smartTagPr', 'smartTagTypes', 'webPublishing', 'fileRecoveryPr', 'webPublishObjects', 'extLst'];
+                const root = workbookXml.documentElement;
+                calculation = root.insertBefore(createXmlElement(workbookXml, 'calcPr'), Array.from(root.children).find(child => later.includes(child.localName)) || null);
+            }
+            calculation.setAttribute('fullCalcOnLoad', '1');
+        }
+        
+        // Whole days from one date to another (null when either is missing)
+        function diffDays(from, to) {
+            if (!from || !to) return null;
+            return Math.round((to - from) / (1000 * 60 * 60 * 24));
+        }
+        
+        // Local date as YYYY-MM-DD for date inputs
+        function toIsoDateString(date) {
+            const month = (date.getMonth() + 1).toString().padStart(2, '0');
+            const day = date.getDate().toString().padStart(2, '0');
+            return \`\${date.getFullYear()}-\${month}-\${day}\`;
+        }
+        
+        // Save a Blob through a temporary link
+        function downloadBlob(blob, fileName) {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
         }
         
         // Load new file
         function loadNewFile() {
+            if (countUnsavedChanges() > 0 && !confirm('Hay cambios sin guardar. ¿Descartarlos?')) return;
+            
             document.getElementById('uploadContainer').style.display = 'flex';
             document.getElementById('container').style.display = 'none';
             document.getElementById('fileInput').value = '';
             ganttData = [];
-            projectStates = {};
+            expandedStates = {};
+            loadedWorkbook = null;
+            closeCompare();
+            closeSchedule();
+            loadSchedules();
+            loadVersions();
         }
         
         // Format date
@@ -1761,6 +8082,27 @@ function getHtmlContent() {
             return \`\${day}/\${month}/\${year}\`;
         }
         
+        // Format date and time
+        function formatDateTime(date) {
+            if (!date || isNaN(date)) return '';
+            const hours = date.getHours().toString().padStart(2, '0');
+            const minutes = date.getMinutes().toString().padStart(2, '0');
+            return \`\${formatDate(date)} \${hours}:\${minutes}\`;
+        }
+        
+        // Format a version ID (ISO timestamp with dashes) for display
+        function formatVersionDate(versionId) {
+            const iso = versionId.replace(/T(\\d{2})-(\\d{2})-(\\d{2})-(\\d{3})Z$/, 'T$1:$2:$3.$4Z');
+            return formatDateTime(new Date(iso));
+        }
+        
+        // Format file size
+        function formatFileSize(bytes) {
+            if (bytes < 1024) return bytes + ' B';
+            if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+            return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+        }
+        
         // Get month name
         function getMonthName(monthIndex) {
             const months = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 
@@ -1768,18 +8110,195 @@ function getHtmlContent() {
             return months[monthIndex];
         }
         
+        // Edits only live in the page until they are saved
+        window.addEventListener('beforeunload', function(event) {
+            if (countUnsavedChanges() > 0) {
+                event.preventDefault();
+                event.returnValue = '';
+            }
+        });
+        
         // Check if there's an existing file on load
-        window.addEventListener('load', function() {
-            // Optional: automatically load existing file
-            // loadExistingFile();
+        window.addEventListener('load', async function() {
+            document.getElementById('currentScheduleName').textContent = SCHEDULE_NAME;
+            
+            const session = await checkSession();
+            if (session.authEnabled && !session.role) return;
+            
+            loadSchedules();
+            loadVersions();
+            
+            // Opening a schedule from the picker of another page loads it right away
+            if (new URLSearchParams(window.location.search).get('open') === '1') {
+                loadExistingFile();
+            }
         });
     </script>
 </body>
 </html>`;
 }
 
+// Content types passed to the handler as text; everything else is base64-encoded like API Gateway does
+const TEXT_CONTENT_TYPE_PATTERN = /^(text\/|application\/(json|xml|x-www-form-urlencoded|javascript)|[^;]*\+(json|xml))/i;
+
+// Local development server: turns HTTP requests into Lambda proxy events (v1 or v2 payload format)
+function startLocalServer({ port = 3000, eventVersion = '2.0' } = {}) {
+    const server = http.createServer(async (req, res) => {
+        try {
+            const chunks = [];
+            for await (const chunk of req) {
+                chunks.push(chunk);
+            }
+            
+            const event = createProxyEvent(req, Buffer.concat(chunks), eventVersion);
+            const response = await exports.handler(event);
+            writeProxyResponse(res, response);
+        } catch (error) {
+            console.error('Local server error:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message }));
+        }
+    });
+    
+    server.listen(port, () => {
+        console.log(`Gantt viewer listening on http://localhost:${port}/ (payload ${eventVersion}, storage ${STORAGE_BACKEND})`);
+    });
+    
+    return server;
+}
+
+function createProxyEvent(req, body, eventVersion) {
+    const url = new URL(req.url, 'http://localhost');
+    const contentType = req.headers['content-type'] || '';
+    const isBase64Encoded = body.length > 0 && !TEXT_CONTENT_TYPE_PATTERN.test(contentType);
+    const encodedBody = body.length === 0 ? null : body.toString(isBase64Encoded ? 'base64' : 'utf8');
+    const sourceIp = req.socket.remoteAddress;
+    
+    // Signed download URLs are built from these
+    const headers = { 'x-forwarded-proto': 'http', ...req.headers };
+    
+    const queryStringParameters = {};
+    const multiValueQueryStringParameters = {};
+    url.searchParams.forEach((value, name) => {
+        multiValueQueryStringParameters[name] = (multiValueQueryStringParameters[name] || []).concat(value);
+    });
+    
+    if (eventVersion === '1.0') {
+        const multiValueHeaders = {};
+        for (let i = 0; i < req.rawHeaders.length; i += 2) {
+            const name = req.rawHeaders[i];
+            multiValueHeaders[name] = (multiValueHeaders[name] || []).concat(req.rawHeaders[i + 1]);
+        }
+        Object.entries(multiValueQueryStringParameters).forEach(([name, values]) => {
+            queryStringParameters[name] = values[values.length - 1];
+        });
+        
+        const hasQuery = Object.keys(queryStringParameters).length > 0;
+        return {
+            resource: '/{proxy+}',
+            path: url.pathname,
+            httpMethod: req.method,
+            headers,
+            multiValueHeaders,
+            queryStringParameters: hasQuery ? queryStringParameters : null,
+            multiValueQueryStringParameters: hasQuery ? multiValueQueryStringParameters : null,
+            pathParameters: { proxy: url.pathname.slice(1) },
+            requestContext: {
+                resourcePath: '/{proxy+}',
+                httpMethod: req.method,
+                path: url.pathname,
+                stage: '$default',
+                requestId: crypto.randomUUID(),
+                requestTimeEpoch: Date.now(),
+                identity: { sourceIp, userAgent: req.headers['user-agent'] || '' }
+            },
+            body: encodedBody,
+            isBase64Encoded
+        };
+    }
+    
+    // Payload format 2.0 joins repeated headers and query parameters with commas
+    Object.entries(multiValueQueryStringParameters).forEach(([name, values]) => {
+        queryStringParameters[name] = values.join(',');
+    });
+    Object.keys(headers).forEach(name => {
+        if (Array.isArray(headers[name])) headers[name] = headers[name].join(',');
+    });
+    const cookies = req.headers.cookie ? req.headers.cookie.split(';').map(cookie => cookie.trim()) : undefined;
+    delete headers.cookie;
+    
+    return {
+        version: '2.0',
+        routeKey: '$default',
+        rawPath: url.pathname,
+        rawQueryString: url.search.slice(1),
+        cookies,
+        headers,
+        queryStringParameters: Object.keys(queryStringParameters).length > 0 ? queryStringParameters : undefined,
+        requestContext: {
+            domainName: req.headers.host || 'localhost',
+            http: {
+                method: req.method,
+                path: url.pathname,
+                protocol: 'HTTP/' + req.httpVersion,
+                sourceIp,
+                userAgent: req.headers['user-agent'] || ''
+            },
+            requestId: crypto.randomUUID(),
+            routeKey: '$default',
+            stage: '$default',
+            timeEpoch: Date.now()
+        },
+        body: encodedBody,
+        isBase64Encoded
+    };
+}
+
+function writeProxyResponse(res, response) {
+    const headers = { ...(response.headers || {}) };
+    
+    Object.entries(response.multiValueHeaders || {}).forEach(([name, values]) => {
+        headers[name] = values;
+    });
+    if (response.cookies && response.cookies.length > 0) {
+        headers['Set-Cookie'] = response.cookies;
+    }
+    
+    const body = response.isBase64Encoded ?
+        Buffer.from(response.body || '', 'base64') :
+        Buffer.from(response.body || '', 'utf8');
+    
+    res.writeHead(response.statusCode || 200, headers);
+    res.end(body);
+}
+
+// Read "--name value" or "--name=value" from the command line
+function getCliOption(name, defaultValue) {
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--' + name && args[i + 1] !== undefined) return args[i + 1];
+        if (args[i].startsWith('--' + name + '=')) return args[i].slice(name.length + 3);
+    }
+    return defaultValue;
+}
+
 // For local testing
-if (require.main === module) {
+if (require.main === module && process.argv[2] === 'serve') {
+    // Local server: node index.js serve [--port 3000] [--event-version 1|2]
+    const eventVersion = getCliOption('event-version', '2') === '1' ? '1.0' : '2.0';
+    startLocalServer({ port: parseInt(getCliOption('port', process.env.PORT || 3000)), eventVersion });
+} else if (require.main === module && process.argv[2] === 'token') {
+    // Mint a bearer token: node index.js token <viewer|editor> [days]
+    const role = process.argv[3] || 'viewer';
+    const days = parseFloat(process.argv[4]) || 30;
+    
+    if (!AUTH_TOKEN_SECRET || !ROLE_LEVELS[role]) {
+        console.error('Usage: AUTH_TOKEN_SECRET=... node index.js token <viewer|editor> [days]');
+        process.exit(1);
+    }
+    
+    console.log(signToken({ role, exp: Math.floor(Date.now() / 1000 + days * 86400) }, AUTH_TOKEN_SECRET));
+} else if (require.main === module) {
     const testEvent = {
         httpMethod: 'GET',
         path: '/'